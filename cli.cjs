@@ -3,185 +3,41 @@
 /**
  * CLI tool to convert Excalidraw files to ASCII
  * Usage: node cli.js <file.excalidraw> [options]
+ *        node cli.js <files, directories or globs...> [--out-dir <dir>] [--watch]
+ *        node cli.js sync-docs [markdown files, directories or globs...] [--check]
+ *        node cli.js import <diagram.txt ...> [--out-dir <dir>]
  */
 
 const fs = require('fs');
 const path = require('path');
+const { pathToFileURL } = require('url');
+const { expandInputs, outputPath, snippetNames, isGlob } = require('./cli/files.cjs');
+const { syncMarkdown } = require('./cli/docs.cjs');
 
-// ASCII rendering logic (inline since we can't easily import ES modules)
-function renderASCII(data, options = {}) {
-  const { showText = true, doubleLines = false, scale = 1 } = options;
-  const elements = data.elements || [];
-  
-  if (elements.length === 0) {
-    return { ascii: '', stats: 'No elements found' };
-  }
-
-  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
-  elements.forEach(el => {
-    const x = el.x || 0;
-    const y = el.y || 0;
-    const w = el.width || 0;
-    const h = el.height || 0;
-    minX = Math.min(minX, x);
-    minY = Math.min(minY, y);
-    maxX = Math.max(maxX, x + w);
-    maxY = Math.max(maxY, y + h);
-  });
-
-  const padding = 20;
-  minX -= padding;
-  minY -= padding;
-  maxX += padding;
-  maxY += padding;
-
-  const gridW = Math.ceil((maxX - minX) * scale / 8);
-  const gridH = Math.ceil((maxY - minY) * scale / 16);
-  const grid = Array(gridH).fill(null).map(() => Array(gridW).fill(' '));
-
-  function toGrid(x, y) {
-    return {
-      x: Math.floor((x - minX) * scale / 8),
-      y: Math.floor((y - minY) * scale / 16)
-    };
-  }
-
-  function setChar(x, y, char) {
-    if (x >= 0 && x < gridW && y >= 0 && y < gridH) {
-      grid[y][x] = char;
-    }
-  }
-
-  function drawLine(x1, y1, x2, y2) {
-    const p1 = toGrid(x1, y1);
-    const p2 = toGrid(x2, y2);
-    const dx = Math.abs(p2.x - p1.x);
-    const dy = Math.abs(p2.y - p1.y);
-    const sx = p1.x < p2.x ? 1 : -1;
-    const sy = p1.y < p2.y ? 1 : -1;
-    let err = dx - dy;
-
-    let x = p1.x, y = p1.y;
-    while (true) {
-      setChar(x, y, dy < dx ? '─' : '│');
-      if (x === p2.x && y === p2.y) break;
-      const e2 = 2 * err;
-      if (e2 > -dy) { err -= dy; x += sx; }
-      if (e2 < dx) { err += dx; y += sy; }
-    }
-  }
-
-  function drawRect(x, y, w, h) {
-    const p = toGrid(x, y);
-    const p2 = toGrid(x + w, y + h);
-    const left = Math.min(p.x, p2.x);
-    const right = Math.max(p.x, p2.x);
-    const top = Math.min(p.y, p2.y);
-    const bottom = Math.max(p.y, p2.y);
-
-    const hLine = doubleLines ? '═' : '─';
-    const vLine = doubleLines ? '║' : '│';
-    const tl = doubleLines ? '╔' : '┌';
-    const tr = doubleLines ? '╗' : '┐';
-    const bl = doubleLines ? '╚' : '└';
-    const br = doubleLines ? '╝' : '┘';
-
-    for (let i = left + 1; i < right; i++) {
-      setChar(i, top, hLine);
-      setChar(i, bottom, hLine);
-    }
-    for (let i = top + 1; i < bottom; i++) {
-      setChar(left, i, vLine);
-      setChar(right, i, vLine);
-    }
-    setChar(left, top, tl);
-    setChar(right, top, tr);
-    setChar(left, bottom, bl);
-    setChar(right, bottom, br);
-  }
-
-  function drawDiamond(x, y, w, h) {
-    const cx = x + w / 2;
-    const cy = y + h / 2;
-    drawLine(x, cy, cx, y);
-    drawLine(cx, y, x + w, cy);
-    drawLine(x + w, cy, cx, y + h);
-    drawLine(cx, y + h, x, cy);
-  }
-
-  function drawEllipse(x, y, w, h) {
-    const cx = x + w / 2;
-    const cy = y + h / 2;
-    const rx = w / 2;
-    const ry = h / 2;
-    const steps = Math.max(16, Math.floor((w + h) / 10));
-    let prevP = null;
-    
-    for (let i = 0; i <= steps; i++) {
-      const angle = (i / steps) * Math.PI * 2;
-      const px = cx + rx * Math.cos(angle);
-      const py = cy + ry * Math.sin(angle);
-      const p = toGrid(px, py);
-      if (prevP) {
-        setChar(p.x, p.y, Math.abs(p.x - prevP.x) > Math.abs(p.y - prevP.y) ? '─' : '│');
-      }
-      prevP = p;
-    }
-  }
+// The renderer is an ES module shared with the web app
+const rendererUrl = pathToFileURL(path.join(__dirname, 'src', 'index.js')).href;
 
-  function drawText(x, y, text) {
-    if (!showText || !text) return;
-    const p = toGrid(x, y);
-    text.split('').forEach((char, i) => setChar(p.x + i, p.y, char));
-  }
+// File written for each drawing in batch mode, by format
+const FORMAT_EXTENSIONS = {
+  text: '.txt',
+  markdown: '.md',
+  html: '.html',
+  svg: '.svg',
+  json: '.json',
+  mermaid: '.mmd',
+  dot: '.dot'
+};
+const WATCH_INTERVAL = 500;
+const MARKDOWN_EXTENSIONS = ['.md', '.markdown'];
+const DIAGRAM_EXTENSIONS = ['.txt'];
+const COMMANDS = ['sync-docs', 'import'];
 
-  const sortedElements = [...elements].sort((a, b) => (a.seed || 0) - (b.seed || 0));
+// The renderer module, once imported
+let renderer = null;
 
-  sortedElements.forEach(el => {
-    const type = el.type;
-    if (type === 'rectangle') {
-      drawRect(el.x, el.y, el.width, el.height);
-      if (el.boundElements) {
-        el.boundElements.forEach(be => {
-          const textEl = elements.find(e => e.id === be.id);
-          if (textEl && textEl.type === 'text') {
-            drawText(textEl.x, textEl.y, textEl.text);
-          }
-        });
-      }
-    } else if (type === 'diamond') {
-      drawDiamond(el.x, el.y, el.width, el.height);
-    } else if (type === 'ellipse') {
-      drawEllipse(el.x, el.y, el.width, el.height);
-    } else if (type === 'line' || type === 'arrow') {
-      const points = el.points || [];
-      for (let i = 0; i < points.length - 1; i++) {
-        drawLine(el.x + points[i][0], el.y + points[i][1], 
-                 el.x + points[i + 1][0], el.y + points[i + 1][1]);
-      }
-      if (type === 'arrow' && points.length >= 2) {
-        const last = points[points.length - 1];
-        const prev = points[points.length - 2];
-        const p = toGrid(el.x + last[0], el.y + last[1]);
-        const dx = last[0] - prev[0];
-        const dy = last[1] - prev[1];
-        setChar(p.x, p.y, Math.abs(dx) > Math.abs(dy) ? (dx > 0 ? '>' : '<') : (dy > 0 ? 'v' : '^'));
-      }
-    } else if (type === 'text' && !el.containerId) {
-      drawText(el.x, el.y, el.text);
-    }
-  });
-
-  const lines = grid.map(row => row.join('').replace(/\s+$/, ''));
-  while (lines.length > 0 && lines[0].trim() === '') lines.shift();
-  while (lines.length > 0 && lines[lines.length - 1].trim() === '') lines.pop();
-  
-  const ascii = lines.join('\n');
-  return { 
-    ascii: ascii || '(empty result)', 
-    stats: `${elements.length} elements · ${gridW}×${gridH} grid · ${(ascii || '').length} chars`
-  };
-}
+// Drawings a directory scan picks up: the files named for Excalidraw among
+// those the loaders read. Plain .json, .svg, .png and .md have to be named.
+const drawingExtensions = () => renderer.SOURCE_EXTENSIONS.filter(ext => ext.includes('excalidraw'));
 
 // CLI
 const args = process.argv.slice(2);
@@ -189,56 +45,463 @@ const args = process.argv.slice(2);
 if (args.length === 0 || args.includes('--help') || args.includes('-h')) {
   console.log(`
 Usage: node cli.js <file.excalidraw> [options]
+       node cli.js <files, directories or globs...> [options]
+       node cli.js sync-docs [markdown files, directories or globs...] [options]
+       node cli.js import <diagram files, directories or globs...> [options]
+
+Drawings can be .excalidraw or .json files, .excalidraw.svg and .excalidraw.png
+exports with the scene embedded, or Obsidian .excalidraw.md drawings. A library
+(.excalidrawlib) renders as a catalog of its items, or with --split as one file
+per item in a directory named after the library. Frames render as boxes titled
+with their names; --split writes one file per frame of a drawing the same way.
+
+A single file is printed to stdout. Several files, a directory or a glob
+(quote it so the shell leaves it alone) write one output file per drawing,
+next to it or under --out-dir.
+
+sync-docs re-renders the fenced block under each marker comment such as
+  <!-- excalidraw:docs/arch.excalidraw scale=1.2 charset=ascii -->
+in Markdown files (default: all under the current directory). Drawing paths
+are relative to the Markdown file, or else to the current directory. Marker
+options: scale, scale-x, scale-y, aspect, width, height, charset, text=false,
+shading=false, double-lines, high-res, frame, group.
+
+import reads ASCII or Unicode box diagrams (a file's first fenced block, if
+it has one) back into .excalidraw scenes: boxes become rectangles, text in
+them labels, and lines between them bound arrows. One file is printed to
+stdout; several are written as <name>.excalidraw next to each diagram or
+under --out-dir. --scale and --aspect give the settings it was rendered with.
 
 Options:
   --scale <n>       Scale factor (default: 1)
+  --scale-x <n>     Horizontal scale factor (default: --scale)
+  --scale-y <n>     Vertical scale factor (default: --scale)
+  --aspect <n>      Character cell height over width (default: 2)
+  --width <cols>    Fit the output into this many columns
+  --height <rows>   Fit the output into this many rows
+  --charset <name>  ascii, light, rounded, heavy or double (default: light)
+  --format <name>   Print only the result as text, markdown, html, svg or json,
+                    or the graph of shapes and bound arrows as mermaid or dot
+                    (default: text inside a banner with stats)
+  --title <text>    Title for the markdown, html, svg and json formats
+  --summary         Add an outline of containers, nesting and connections
+  --frame <name>    Render only this frame (name or id), cropped to it
+  --group <id>      Render only the elements in this group
+  --ids <a,b,...>   Render only these elements
+  --region <x,y,w,h>
+                    Render only this part of the canvas, in scene pixels
   --no-text         Hide text labels
-  --double-lines    Use double-line borders
+  --no-shading      Leave filled shapes blank instead of shading them by fill
+                    style (░▒▓ solid, ╱ hachure, ╳ cross-hatch)
+  --double-lines    Use double-line borders for rectangles
+  --high-res <mode> Draw strokes and freehand sketches in finer dots: braille
+                    (2×4 per character) or blocks (2×2); text stays as is
+  --color <mode>    Keep the drawing's colors: ansi (256 colors), truecolor,
+                    html (spans in --format html) or legend (a list of what
+                    each color marks). Default: ansi or truecolor when printing
+                    text to a terminal, off when piped or writing files
+  --no-color        Never color the output (as does the NO_COLOR variable)
+  --out-dir <dir>   Write outputs here, keeping relative paths
+  --split           Write one file per library item or frame
+  --watch           Re-render whenever a drawing changes
+  --check           sync-docs: change nothing, fail if any block is stale
   --help, -h        Show this help
 
 Examples:
   node cli.js test-wireframe.excalidraw
   node cli.js wireframe.excalidraw --scale 1.5 --double-lines
+  node cli.js wireframe.excalidraw --charset ascii
+  node cli.js sketch.excalidraw --high-res braille
+  node cli.js services.excalidraw --color legend > services.txt
+  node cli.js "Drawing 2024-05-01.excalidraw.md"
+  node cli.js wireframe.excalidraw --width 80
+  node cli.js wireframe.excalidraw --format markdown --title "Login flow"
+  node cli.js flow.excalidraw --format mermaid > flow.mmd
+  node cli.js wireframe.excalidraw --summary
+  node cli.js docs/ --format markdown --out-dir docs/ascii
+  node cli.js components.excalidrawlib --split --format markdown
+  node cli.js board.excalidraw --frame "Checkout"
+  node cli.js board.excalidraw --split --out-dir screens
+  node cli.js "diagrams/**/*.excalidraw" --watch
+  node cli.js sync-docs README.md docs/ --check
+  node cli.js import diagram.txt > diagram.excalidraw
 `);
   process.exit(0);
 }
 
-const filePath = args[0];
+const command = COMMANDS.includes(args[0]) ? args.shift() : 'render';
+const inputs = [];
 const options = {
   scale: 1,
   showText: true,
-  doubleLines: false
+  doubleLines: false,
+  charset: 'light'
 };
+let rawOutput = false;
+let outDir = null;
+let watchMode = false;
+let checkOnly = false;
+let splitLibraries = false;
+let regionArg = null;
+let colorArg = 'auto';
 
 // Parse options
-for (let i = 1; i < args.length; i++) {
+for (let i = 0; i < args.length; i++) {
   if (args[i] === '--scale' && args[i + 1]) {
     options.scale = parseFloat(args[i + 1]) || 1;
     i++;
+  } else if (args[i] === '--scale-x' && args[i + 1]) {
+    options.scaleX = parseFloat(args[i + 1]) || 1;
+    i++;
+  } else if (args[i] === '--scale-y' && args[i + 1]) {
+    options.scaleY = parseFloat(args[i + 1]) || 1;
+    i++;
+  } else if (args[i] === '--aspect' && args[i + 1]) {
+    options.cellAspect = parseFloat(args[i + 1]) || 2;
+    i++;
+  } else if (args[i] === '--width' && args[i + 1]) {
+    options.width = parseInt(args[i + 1], 10) || undefined;
+    i++;
+  } else if (args[i] === '--height' && args[i + 1]) {
+    options.height = parseInt(args[i + 1], 10) || undefined;
+    i++;
+  } else if (args[i] === '--charset' && args[i + 1]) {
+    options.charset = args[i + 1];
+    i++;
+  } else if (args[i] === '--format' && args[i + 1]) {
+    options.format = args[i + 1];
+    rawOutput = true;
+    i++;
+  } else if (args[i] === '--title' && args[i + 1]) {
+    options.title = args[i + 1];
+    i++;
+  } else if (args[i] === '--summary') {
+    options.summary = true;
+  } else if (args[i] === '--frame' && args[i + 1]) {
+    options.frame = args[i + 1];
+    i++;
+  } else if (args[i] === '--group' && args[i + 1]) {
+    options.group = args[i + 1];
+    i++;
+  } else if (args[i] === '--ids' && args[i + 1]) {
+    options.ids = args[i + 1].split(',').map(id => id.trim()).filter(Boolean);
+    i++;
+  } else if (args[i] === '--region' && args[i + 1]) {
+    regionArg = args[i + 1];
+    i++;
   } else if (args[i] === '--no-text') {
     options.showText = false;
+  } else if (args[i] === '--no-shading') {
+    options.shading = false;
   } else if (args[i] === '--double-lines') {
     options.doubleLines = true;
+  } else if (args[i] === '--high-res' && args[i + 1]) {
+    options.highRes = args[i + 1];
+    i++;
+  } else if (args[i] === '--color' && args[i + 1]) {
+    colorArg = args[i + 1];
+    i++;
+  } else if (args[i] === '--no-color') {
+    colorArg = null;
+  } else if (args[i] === '--out-dir' && args[i + 1]) {
+    outDir = args[i + 1];
+    i++;
+  } else if (args[i] === '--watch') {
+    watchMode = true;
+  } else if (args[i] === '--check') {
+    checkOnly = true;
+  } else if (args[i] === '--split') {
+    splitLibraries = true;
+  } else if (!args[i].startsWith('--')) {
+    inputs.push(args[i]);
   }
 }
 
-if (!fs.existsSync(filePath)) {
-  console.error(`Error: File not found: ${filePath}`);
-  process.exit(1);
+const batchMode = inputs.length > 1 || outDir !== null || watchMode || splitLibraries || inputs.some(input => (
+  isGlob(input) || (fs.existsSync(input) && fs.statSync(input).isDirectory())
+));
+
+function readScene(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`File not found: ${filePath}`);
+  }
+  return renderer.loadScene(fs.readFileSync(filePath));
+}
+
+// Renders a drawing or, for a library, the catalog of its items
+function render(filePath, renderOptions = options) {
+  const data = readScene(filePath);
+  return renderer.isLibrary(data)
+    ? renderer.renderLibrary(data, renderOptions)
+    : renderer.renderASCII(data, renderOptions);
+}
+
+// Renders each frame of a drawing on its own, titled with the frame's name;
+// null when the drawing has no frames
+function renderFrames(filePath) {
+  const data = readScene(filePath);
+  const frames = renderer.sceneFrames(data.elements || []);
+  if (frames.length === 0) return null;
+  return frames.map(frame => ({
+    name: frame.name,
+    ...renderer.renderASCII(data, { ...options, frame: frame.id, title: frame.name })
+  }));
+}
+
+// Colors by default only for text printed straight to a terminal, in 24-bit
+// where the terminal says it takes them
+function autoColor() {
+  const printsText = command === 'render' && !batchMode && (options.format || 'text') === 'text';
+  if (!printsText || !process.stdout.isTTY || process.env.NO_COLOR) return undefined;
+  return /truecolor|24bit/i.test(process.env.COLORTERM || '') ? 'truecolor' : 'ansi';
+}
+
+// "x,y,width,height" in scene pixels
+function parseRegion(value) {
+  const numbers = value.split(',').map(Number);
+  if (numbers.length !== 4 || numbers.some(Number.isNaN) || numbers[2] <= 0 || numbers[3] <= 0) {
+    throw new Error(`--region needs x,y,width,height in scene pixels, got "${value}"`);
+  }
+  const [x, y, width, height] = numbers;
+  return { x, y, width, height };
+}
+
+function writeOutput(target, output) {
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.writeFileSync(target, output.endsWith('\n') ? output : output + '\n');
 }
 
-try {
-  const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
-  const result = renderASCII(data, options);
-  
+// Arrows left out of a Mermaid or DOT export, reported on stderr
+function reportGraphWarnings(result, prefix = '') {
+  if (!['mermaid', 'dot'].includes(options.format)) return;
+  const parts = result.items
+    ? result.items.map(item => ({ where: `${prefix}${item.name}: `, meta: item.meta }))
+    : [{ where: prefix, meta: result.meta }];
+  parts.forEach(({ where, meta }) => {
+    meta.graph.warnings.forEach(warning => console.error(`⚠ ${where}${warning}`));
+  });
+}
+
+function printFile(filePath) {
+  const result = render(filePath);
+  reportGraphWarnings(result);
+
+  if (rawOutput) {
+    process.stdout.write(result.output.endsWith('\n') ? result.output : result.output + '\n');
+    return;
+  }
+
   console.log('\n' + '='.repeat(60));
   console.log('ASCII OUTPUT');
   console.log('='.repeat(60) + '\n');
-  console.log(result.ascii);
+  console.log(result.colored ?? result.ascii);
   console.log('\n' + '-'.repeat(60));
   console.log(result.stats);
   console.log('-'.repeat(60) + '\n');
-} catch (err) {
+
+  if (result.legend) {
+    console.log('COLOR LEGEND');
+    console.log('='.repeat(60) + '\n');
+    console.log(result.legend + '\n');
+  }
+
+  if (options.summary) {
+    console.log('SCENE SUMMARY');
+    console.log('='.repeat(60) + '\n');
+    console.log(result.summary + '\n');
+  }
+}
+
+// Renders one drawing to its output file (or, split, a library to one file
+// per item and a drawing to one per frame) and prints a summary line.
+// Returns false when the drawing could not be converted.
+function convertFile(drawing) {
+  const extension = FORMAT_EXTENSIONS[options.format || 'text'] || '.txt';
+  try {
+    const result = render(drawing.file);
+    reportGraphWarnings(result, `${drawing.file}: `);
+    const parts = splitLibraries && (result.items || renderFrames(drawing.file));
+    if (parts) {
+      const dir = outputPath(drawing, '', outDir, renderer.SOURCE_EXTENSIONS);
+      const names = snippetNames(parts.map(part => part.name));
+      parts.forEach((part, i) => writeOutput(path.join(dir, names[i] + extension), part.output));
+      console.log(`✓ ${drawing.file} → ${dir}${path.sep} (${parts.length} ${result.items ? 'snippets' : 'frames'})`);
+      return true;
+    }
+    const target = outputPath(drawing, extension, outDir, renderer.SOURCE_EXTENSIONS);
+    writeOutput(target, result.output);
+    console.log(`✓ ${drawing.file} → ${target} (${result.stats})`);
+    return true;
+  } catch (err) {
+    console.error(`✗ ${drawing.file}: ${err.message}`);
+    return false;
+  }
+}
+
+function convertAll(drawings) {
+  const failed = drawings.filter(drawing => !convertFile(drawing)).length;
+  const converted = drawings.length - failed;
+  console.log(`\n${converted} converted, ${failed} failed`);
+  return failed;
+}
+
+// Polls drawings for changes, picking up new files that match the inputs
+function watch(drawings) {
+  const watched = new Set();
+  const track = drawing => {
+    if (watched.has(drawing.file)) return;
+    watched.add(drawing.file);
+    fs.watchFile(drawing.file, { interval: WATCH_INTERVAL }, (curr, prev) => {
+      if (curr.mtimeMs === prev.mtimeMs) return;
+      if (curr.mtimeMs === 0) {
+        console.log(`- ${drawing.file} removed`);
+        fs.unwatchFile(drawing.file);
+        watched.delete(drawing.file);
+        return;
+      }
+      convertFile(drawing);
+    });
+  };
+
+  drawings.forEach(track);
+  setInterval(() => {
+    expandInputs(inputs, drawingExtensions())
+      .filter(drawing => !watched.has(drawing.file) && fs.existsSync(drawing.file))
+      .forEach(drawing => {
+        convertFile(drawing);
+        track(drawing);
+      });
+  }, WATCH_INTERVAL * 4);
+
+  console.log(`\nWatching ${watched.size} file(s) for changes (Ctrl+C to stop)`);
+}
+
+// Drawings named in markers are looked up next to the Markdown file first
+function resolveDrawing(markdownFile, source) {
+  const candidates = [path.resolve(path.dirname(markdownFile), source), path.resolve(source)];
+  const found = candidates.find(candidate => fs.existsSync(candidate));
+  if (!found) throw new Error(`Drawing not found: ${source}`);
+  return found;
+}
+
+// Returns the number of documents that failed or, with --check, are stale
+function syncDocs() {
+  const docs = expandInputs(inputs.length > 0 ? inputs : ['.'], MARKDOWN_EXTENSIONS);
+  let problems = 0;
+  let blocks = 0;
+  let updated = 0;
+
+  docs.forEach(({ file }) => {
+    try {
+      const original = fs.readFileSync(file, 'utf-8');
+      const result = syncMarkdown(original, (source, params) => render(
+        resolveDrawing(file, source),
+        { ...options, ...params, format: 'markdown', title: undefined, summary: false }
+      ).output);
+      if (result.blocks === 0) return;
+      blocks += result.blocks;
+
+      if (result.stale === 0) {
+        console.log(`✓ ${file}: ${result.blocks} diagram(s) up to date`);
+      } else if (checkOnly) {
+        problems++;
+        console.error(`✗ ${file}: ${result.stale} of ${result.blocks} diagram(s) out of date`);
+      } else {
+        fs.writeFileSync(file, result.text);
+        updated += result.stale;
+        console.log(`✎ ${file}: updated ${result.stale} of ${result.blocks} diagram(s)`);
+      }
+    } catch (err) {
+      problems++;
+      console.error(`✗ ${file}: ${err.message}`);
+    }
+  });
+
+  if (checkOnly) {
+    console.log(`\n${blocks} diagram(s) checked, ${problems} file(s) need attention`);
+    if (problems > 0) console.log('Run "node cli.cjs sync-docs" to update them.');
+  } else {
+    console.log(`\n${blocks} diagram(s) found, ${updated} updated, ${problems} file(s) failed`);
+  }
+  return problems;
+}
+
+// Reads a diagram back into a scene, as pretty-printed .excalidraw JSON
+function importDiagram(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`File not found: ${filePath}`);
+  }
+  const scene = renderer.importASCII(fs.readFileSync(filePath, 'utf-8'), {
+    scale: options.scale,
+    cellAspect: options.cellAspect
+  });
+  return JSON.stringify(scene, null, 2) + '\n';
+}
+
+function importDiagrams() {
+  if (inputs.length === 0) {
+    throw new Error('No diagram files given');
+  }
+  if (!batchMode) {
+    process.stdout.write(importDiagram(inputs[0]));
+    return 0;
+  }
+
+  const diagrams = expandInputs(inputs, DIAGRAM_EXTENSIONS);
+  const failed = diagrams.filter(diagram => {
+    try {
+      const target = outputPath(diagram, '.excalidraw', outDir);
+      writeOutput(target, importDiagram(diagram.file));
+      console.log(`✓ ${diagram.file} → ${target}`);
+      return false;
+    } catch (err) {
+      console.error(`✗ ${diagram.file}: ${err.message}`);
+      return true;
+    }
+  }).length;
+  console.log(`\n${diagrams.length - failed} imported, ${failed} failed`);
+  return failed;
+}
+
+async function main() {
+  renderer = await import(rendererUrl);
+  if (regionArg !== null) options.region = parseRegion(regionArg);
+  const color = colorArg === 'auto' ? autoColor() : colorArg;
+  if (color) options.color = color;
+
+  if (command === 'sync-docs') {
+    if (syncDocs() > 0) process.exitCode = 1;
+    return;
+  }
+
+  if (command === 'import') {
+    if (importDiagrams() > 0) process.exitCode = 1;
+    return;
+  }
+
+  if (inputs.length === 0) {
+    throw new Error('No input files given');
+  }
+
+  if (!batchMode) {
+    printFile(inputs[0]);
+    return;
+  }
+
+  const drawings = expandInputs(inputs, drawingExtensions());
+  if (drawings.length === 0 && !watchMode) {
+    throw new Error(`No drawings found in: ${inputs.join(', ')}`);
+  }
+
+  const failed = convertAll(drawings);
+  if (watchMode) {
+    watch(drawings.filter(drawing => fs.existsSync(drawing.file)));
+  } else if (failed > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch(err => {
   console.error(`Error: ${err.message}`);
   process.exit(1);
-}
+});
@@ -0,0 +1,122 @@
+/**
+ * Keeps ASCII diagrams in Markdown in sync with their drawings.
+ *
+ * A marker comment names the drawing and, optionally, render options:
+ *
+ *   <!-- excalidraw:docs/arch.excalidraw scale=1.2 charset=ascii -->
+ *   ```text
+ *   ...rendered diagram...
+ *   ```
+ *
+ * The fenced block right under the marker (blank lines between are fine) is
+ * replaced with a fresh render, or inserted when there is none.
+ */
+
+const MARKER = /^\s*<!--\s*excalidraw:(\S+)(.*?)-->\s*$/;
+const FENCE = /^\s*(`{3,}|~{3,})/;
+
+// A fence closes on a run of the same character at least as long
+function closingFence(open) {
+  return new RegExp(`^\\s*${open[0]}{${open.length},}\\s*$`);
+}
+
+// Marker parameters and the render options they set
+const PARAMS = {
+  scale: ['scale', Number],
+  'scale-x': ['scaleX', Number],
+  'scale-y': ['scaleY', Number],
+  aspect: ['cellAspect', Number],
+  width: ['width', Number],
+  height: ['height', Number],
+  charset: ['charset', String],
+  text: ['showText', value => value !== 'false'],
+  shading: ['shading', value => value !== 'false'],
+  'double-lines': ['doubleLines', value => value !== 'false'],
+  'high-res': ['highRes', String],
+  frame: ['frame', String],
+  group: ['group', String],
+};
+
+/**
+ * Parses `key=value` pairs (values may be quoted) into render options.
+ * A bare key means `true`.
+ */
+function parseParams(source) {
+  const options = {};
+  const pairs = source.matchAll(/([\w-]+)(?:=("[^"]*"|'[^']*'|\S+))?/g);
+  for (const [, key, rawValue] of pairs) {
+    const param = PARAMS[key];
+    if (!param) throw new Error(`Unknown marker option "${key}"`);
+    const value = rawValue === undefined ? 'true' : rawValue.replace(/^(["'])(.*)\1$/, '$2');
+    const [option, parse] = param;
+    const parsed = parse(value);
+    if (typeof parsed === 'number' && Number.isNaN(parsed)) {
+      throw new Error(`Marker option "${key}" needs a number, got "${value}"`);
+    }
+    options[option] = parsed;
+  }
+  return options;
+}
+
+/**
+ * Re-renders every marked diagram in a Markdown document.
+ *
+ * @param {string} markdown
+ * @param {(source: string, options: object) => string} renderBlock Returns the
+ *   fenced block for a drawing path as written in the marker
+ * @returns {{ text: string, blocks: number, stale: number }}
+ */
+function syncMarkdown(markdown, renderBlock) {
+  // Lines come back out with the document's own line ending
+  const eol = markdown.includes('\r\n') ? '\r\n' : '\n';
+  const lines = markdown.split(/\r?\n/);
+  const out = [];
+  let blocks = 0;
+  let stale = 0;
+  // The fence of a code block being skipped: markers shown in examples are
+  // not live
+  let inFence = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    out.push(lines[i]);
+    if (inFence) {
+      if (inFence.test(lines[i])) inFence = null;
+      continue;
+    }
+    const fence = lines[i].match(FENCE);
+    if (fence) {
+      inFence = closingFence(fence[1]);
+      continue;
+    }
+    const marker = lines[i].match(MARKER);
+    if (!marker) continue;
+
+    blocks++;
+    const expected = renderBlock(marker[1], parseParams(marker[2])).replace(/\n$/, '');
+
+    // Find the fenced block under the marker, if there is one
+    let next = i + 1;
+    while (next < lines.length && lines[next].trim() === '') next++;
+    const open = next < lines.length && lines[next].match(FENCE);
+    let current = null;
+    let end = i;
+    if (open) {
+      const closing = closingFence(open[1]);
+      let close = next + 1;
+      while (close < lines.length && !closing.test(lines[close])) close++;
+      if (close < lines.length) {
+        current = lines.slice(next, close + 1).join('\n');
+        end = close;
+      }
+    }
+
+    if (current !== expected) stale++;
+    if (current !== null) out.push(...lines.slice(i + 1, next));
+    out.push(...expected.split('\n'));
+    i = end;
+  }
+
+  return { text: out.join(eol), blocks, stale };
+}
+
+module.exports = { syncMarkdown, parseParams };
@@ -0,0 +1,142 @@
+/**
+ * Input discovery for the CLI: plain paths, directories and glob patterns,
+ * and where each drawing's output goes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SKIPPED_DIRS = new Set(['node_modules']);
+
+function isGlob(pattern) {
+  return /[*?[{]/.test(pattern);
+}
+
+// Supports *, **, ?, [...] and {a,b}
+function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      i++;
+      if (glob[i + 1] === '/') {
+        i++;
+        source += '(?:.*/)?';
+      } else {
+        source += '.*';
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = glob.indexOf(']', i);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        source += glob.slice(i, end + 1);
+        i = end;
+      }
+    } else if (char === '{') {
+      const end = glob.indexOf('}', i);
+      if (end === -1) {
+        source += '\\{';
+      } else {
+        const options = glob.slice(i + 1, end).split(',').map(globToRegExp).map(re => re.source.slice(1, -1));
+        source += `(?:${options.join('|')})`;
+        i = end;
+      }
+    } else {
+      source += char.replace(/[.+^$()|\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function walk(dir, files = []) {
+  let entries;
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch {
+    return files;
+  }
+  entries.forEach(entry => {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (!entry.name.startsWith('.') && !SKIPPED_DIRS.has(entry.name)) walk(full, files);
+    } else if (entry.isFile()) {
+      files.push(full);
+    }
+  });
+  return files;
+}
+
+/**
+ * Expands CLI inputs into drawings. Each comes with the base directory its
+ * output path is taken relative to when writing into an output directory.
+ * Paths that do not exist are kept so they can be reported. Directory scans
+ * and glob matches keep only files ending in one of `extensions`, so
+ * outputs written next to the drawings are not picked up on the next run.
+ *
+ * @returns {{ file: string, base: string }[]}
+ */
+function expandInputs(inputs, extensions) {
+  const found = new Map();
+  const add = (file, base) => {
+    if (!found.has(path.resolve(file))) found.set(path.resolve(file), { file, base });
+  };
+
+  const isSource = file => extensions.some(ext => file.endsWith(ext));
+
+  inputs.forEach(input => {
+    if (isGlob(input)) {
+      const segments = input.split(/[\\/]/);
+      const firstGlob = segments.findIndex(isGlob);
+      const base = segments.slice(0, firstGlob).join('/') || '.';
+      const matcher = globToRegExp(segments.slice(firstGlob).join('/'));
+      walk(base)
+        .filter(file => isSource(file) && matcher.test(path.relative(base, file).split(path.sep).join('/')))
+        .sort()
+        .forEach(file => add(file, base));
+    } else if (fs.existsSync(input) && fs.statSync(input).isDirectory()) {
+      walk(input)
+        .filter(isSource)
+        .sort()
+        .forEach(file => add(file, input));
+    } else {
+      add(input, path.dirname(input));
+    }
+  });
+
+  return [...found.values()];
+}
+
+/**
+ * Output path for a drawing: a sibling file with the drawing's extension
+ * swapped for `extension`, or the same relative path under `outDir`. The
+ * extension is the longest of `sourceExtensions` the file ends in, else its
+ * last one.
+ */
+function outputPath({ file, base }, extension, outDir, sourceExtensions = []) {
+  const sourceExt = sourceExtensions.find(ext => file.endsWith(ext)) || path.extname(file);
+  const stem = file.slice(0, file.length - sourceExt.length);
+  if (!outDir) return stem + extension;
+  return path.join(outDir, path.relative(base, stem) + extension);
+}
+
+/**
+ * File names (without extension) for library items, from their names made
+ * safe for any file system. Clashes get a numeric suffix.
+ */
+function snippetNames(names) {
+  const used = new Set();
+  return names.map((name, i) => {
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || `item-${i + 1}`;
+    let candidate = slug;
+    for (let n = 2; used.has(candidate); n++) candidate = `${slug}-${n}`;
+    used.add(candidate);
+    return candidate;
+  });
+}
+
+module.exports = { expandInputs, outputPath, snippetNames, isGlob };
@@ -1,34 +1,120 @@
-import { useState, useRef, useCallback } from 'react';
-import { renderASCII, validateFile } from './utils/asciiRenderer';
+import { useState, useRef, useCallback, useEffect, useMemo } from 'react';
+import { renderASCII } from './utils/asciiRenderer';
+import { loadScene, validateFile, SOURCE_EXTENSIONS } from './utils/loaders';
+import { isLibrary, libraryItems, renderLibrary } from './utils/library';
+import { CHARSETS } from './utils/charsets';
+import { sceneFrames, listElements, selectElements } from './utils/selection';
+import { scenePreview } from './utils/preview';
+import { HIGH_RES_MODES } from './utils/subcells';
+import { loadOptions, saveOptions } from './settings';
 import './App.css';
 
+// Libraries render as a catalog of their items
+function render(data, options) {
+  return isLibrary(data) ? renderLibrary(data, options) : renderASCII(data, options);
+}
+
+function framesOf(data) {
+  return isLibrary(data) ? [] : sceneFrames(data.elements || []);
+}
+
+function elementsOf(data) {
+  return isLibrary(data) ? [] : listElements(data.elements || []);
+}
+
+// Ids of the elements still shown, or undefined when none are hidden
+function visibleIds(elements, hidden) {
+  return hidden.length > 0 ? elements.filter(el => !hidden.includes(el.id)).map(el => el.id) : undefined;
+}
+
+// The element drawn at an output cell: the smallest box holding it, the
+// later one on ties since it was drawn on top
+function elementAt(elements, boxes, { x, y }) {
+  let found = null;
+  elements.forEach(el => {
+    const box = boxes[el.id];
+    if (!box || x < box.x || y < box.y || x >= box.x + box.width || y >= box.y + box.height) return;
+    const area = box.width * box.height;
+    if (!found || area <= found.area) found = { id: el.id, area };
+  });
+  return found ? found.id : null;
+}
+
 function App() {
   const [error, setError] = useState(null);
-  const [output, setOutput] = useState('');
-  const [stats, setStats] = useState('');
-  const [hasData, setHasData] = useState(false);
   const [isDragOver, setIsDragOver] = useState(false);
   const [copyFeedback, setCopyFeedback] = useState('Copy to clipboard');
-  const [consoleOutput, setConsoleOutput] = useState('');
-  const [showConsole, setShowConsole] = useState(false);
-  
-  // Options state
-  const [showText, setShowText] = useState(true);
-  const [doubleLines, setDoubleLines] = useState(false);
-  const [scale, setScale] = useState(1);
-  
+
+  // The scene and where it came from: a file, the clipboard or the editor
+  const [scene, setScene] = useState(null);
+  const [sourceName, setSourceName] = useState('');
+  const [showEditor, setShowEditor] = useState(false);
+  const [editorText, setEditorText] = useState('');
+  const [editorError, setEditorError] = useState(null);
+
+  // Options, restored from the URL or the last visit
+  const [options, setOptions] = useState(loadOptions);
+  const {
+    showText, shading, doubleLines, charset, highRes, color, scale, fitWidth, fitHeight,
+    showSummary, showPreview, showGrid,
+  } = options;
+  const setOption = useCallback((name, value) => {
+    setOptions(current => ({ ...current, [name]: value }));
+  }, []);
+  useEffect(() => {
+    saveOptions(options);
+  }, [options]);
+
+  // Per scene: the frame picked and the elements hidden from the render
+  const [frame, setFrame] = useState('');
+  const [hidden, setHidden] = useState([]);
+  const [hovered, setHovered] = useState(null);
+  const [selected, setSelected] = useState(null);
+
   const fileInputRef = useRef(null);
-  const currentDataRef = useRef(null);
-  const currentFileRef = useRef(null);
+  const outputRef = useRef(null);
+  const probeRef = useRef(null);
+  const panelRef = useRef(null);
+
+  const frames = useMemo(() => (scene ? framesOf(scene) : []), [scene]);
+  const elementList = useMemo(() => (scene ? elementsOf(scene) : []), [scene]);
+  // A frame picked earlier only applies while the scene still has it
+  const activeFrame = frames.some(f => f.id === frame) ? frame : '';
+  const ids = useMemo(() => visibleIds(elementList, hidden), [elementList, hidden]);
+
+  // Rendered from the current state on every change, so no option lags behind
+  const rendered = useMemo(() => {
+    if (!scene) return null;
+    try {
+      return {
+        result: render(scene, {
+          showText, shading, doubleLines, scale, charset, width: fitWidth || undefined, height: fitHeight || undefined,
+          highRes: highRes || undefined, frame: activeFrame || undefined, color: color || undefined, ids,
+        }),
+      };
+    } catch (err) {
+      return { error: err.message };
+    }
+  }, [scene, showText, shading, doubleLines, scale, charset, fitWidth, fitHeight, highRes, activeFrame, color, ids]);
+  const result = rendered?.result;
+  // The legend travels with the ASCII, so copying keeps it; colored spans
+  // are only for showing
+  const output = result ? (result.legend ? `${result.ascii}\n\n${result.legend}` : result.ascii) : '';
+  const colored = result?.colored || '';
+  const meta = result?.meta || null;
+  const boxes = meta?.boxes || {};
 
-  const generateConsoleOutput = useCallback((data, fileName) => {
+  const consoleOutput = useMemo(() => {
+    if (!result) return '';
     const timestamp = new Date().toLocaleTimeString();
     const lines = [
-      `[${timestamp}] Loading file: ${fileName}`,
+      `[${timestamp}] Loading ${sourceName}`,
       `[${timestamp}] Parsing Excalidraw JSON...`,
-      `[${timestamp}] Found ${data.elements?.length || 0} elements`,
+      isLibrary(scene)
+        ? `[${timestamp}] Found ${libraryItems(scene).length} library items`
+        : `[${timestamp}] Found ${scene.elements?.length || 0} elements`,
       `[${timestamp}] Calculating bounds...`,
-      `[${timestamp}] Rendering ASCII with scale=${scale}, showText=${showText}, doubleLines=${doubleLines}`,
+      `[${timestamp}] Rendering ASCII with scale=${scale}, showText=${showText}, shading=${shading}, doubleLines=${doubleLines}, charset=${charset}, highRes=${highRes || 'off'}, color=${color || 'off'}, width=${fitWidth || 'auto'}, height=${fitHeight || 'auto'}`,
       `[${timestamp}] Done!`,
       ``,
       `--- Generated ASCII ---`,
@@ -36,46 +122,76 @@ function App() {
       `--- End ---`,
     ];
     return lines.join('\n');
-  }, [output, scale, showText, doubleLines]);
-
-  const processData = useCallback((data, fileName = 'file.excalidraw') => {
-    currentDataRef.current = data;
-    const result = renderASCII(data, { showText, doubleLines, scale });
-    setOutput(result.ascii);
-    setStats(result.stats);
-    setHasData(true);
-    
-    // Generate console output
-    const consoleText = generateConsoleOutput(data, fileName);
-    setConsoleOutput(consoleText);
-    setShowConsole(true);
-  }, [showText, doubleLines, scale, generateConsoleOutput]);
+  }, [result, scene, sourceName, output, scale, showText, shading, doubleLines, charset, highRes, color, fitWidth, fitHeight]);
+
+  // A new scene starts with nothing hidden and its JSON in the editor
+  const openScene = useCallback((data, name) => {
+    setScene(data);
+    setSourceName(name);
+    setHidden([]);
+    setSelected(null);
+    setEditorText(JSON.stringify(data, null, 2));
+    setEditorError(null);
+    setError(null);
+  }, []);
 
   const processFile = useCallback((file) => {
     setError(null);
-    currentFileRef.current = file;
     
     const validationError = validateFile(file);
     if (validationError) {
       setError(validationError);
-      setHasData(false);
-      setShowConsole(false);
+      setScene(null);
       return;
     }
 
     const reader = new FileReader();
     reader.onload = (e) => {
       try {
-        const data = JSON.parse(e.target.result);
-        processData(data, file.name);
+        openScene(loadScene(e.target.result), `file: ${file.name}`);
       } catch (err) {
-        setError('Invalid JSON file: ' + err.message);
-        setHasData(false);
-        setShowConsole(false);
+        setError(err.message);
+        setScene(null);
+      }
+    };
+    reader.readAsArrayBuffer(file);
+  }, [openScene]);
+
+  // Shapes copied in Excalidraw land on the clipboard as JSON of type
+  // "excalidraw/clipboard"; pasting anywhere but a text field opens them
+  useEffect(() => {
+    const handlePaste = (e) => {
+      if (e.target instanceof Element && e.target.closest('textarea, input')) return;
+      const text = e.clipboardData?.getData('text/plain');
+      if (!text) return;
+      e.preventDefault();
+      try {
+        const data = loadScene(text);
+        if (!Array.isArray(data.elements) && !isLibrary(data)) throw new Error('no elements');
+        openScene(data, 'clipboard');
+      } catch {
+        setError('The clipboard holds no Excalidraw shapes. Select some in Excalidraw, copy them and paste here.');
       }
     };
-    reader.readAsText(file);
-  }, [processData]);
+    document.addEventListener('paste', handlePaste);
+    return () => document.removeEventListener('paste', handlePaste);
+  }, [openScene]);
+
+  // The editor re-renders as you type, keeping the last scene that parsed
+  const handleEditorChange = useCallback((e) => {
+    const text = e.target.value;
+    setEditorText(text);
+    try {
+      const data = loadScene(text);
+      if (!Array.isArray(data.elements) && !isLibrary(data)) throw new Error('Expected an object with an "elements" array');
+      setScene(data);
+      setSourceName(current => current || 'editor');
+      setEditorError(null);
+      setError(null);
+    } catch (err) {
+      setEditorError(err.message);
+    }
+  }, []);
 
   const handleDrop = useCallback((e) => {
     e.preventDefault();
@@ -116,24 +232,59 @@ function App() {
     });
   }, [consoleOutput]);
 
-  // Re-render when options change
-  const handleOptionChange = useCallback(() => {
-    if (currentDataRef.current && currentFileRef.current) {
-      const result = renderASCII(currentDataRef.current, { showText, doubleLines, scale });
-      setOutput(result.ascii);
-      setStats(result.stats);
-      
-      // Update console output
-      const consoleText = generateConsoleOutput(currentDataRef.current, currentFileRef.current.name);
-      setConsoleOutput(consoleText);
-    }
-  }, [showText, doubleLines, scale, generateConsoleOutput]);
+  const handleCopySummary = useCallback(() => {
+    navigator.clipboard.writeText(result?.summary || '').then(() => {
+      setCopyFeedback('Summary copied!');
+      setTimeout(() => setCopyFeedback('Copy to clipboard'), 1500);
+    });
+  }, [result]);
+
+  const toggleHidden = useCallback((id) => {
+    setHidden(current => (current.includes(id) ? current.filter(other => other !== id) : [...current, id]));
+  }, []);
+
+  // Output cell under the pointer, measured by one character of the output font
+  const cellAt = useCallback((e) => {
+    const pre = outputRef.current?.querySelector('pre');
+    if (!pre || !probeRef.current) return null;
+    const rect = pre.getBoundingClientRect();
+    const cell = probeRef.current.getBoundingClientRect();
+    return {
+      x: Math.floor((e.clientX - rect.left) / cell.width),
+      y: Math.floor((e.clientY - rect.top) / cell.height),
+    };
+  }, []);
+
+  const handleOutputHover = useCallback((e) => {
+    const cell = cellAt(e);
+    setHovered(cell ? elementAt(elementList, boxes, cell) : null);
+  }, [cellAt, elementList, boxes]);
 
-  const handleGenerate = useCallback(() => {
-    if (currentDataRef.current && currentFileRef.current) {
-      handleOptionChange();
+  const handleOutputClick = useCallback((e) => {
+    const cell = cellAt(e);
+    const id = cell ? elementAt(elementList, boxes, cell) : null;
+    setSelected(id);
+    if (id) {
+      panelRef.current?.querySelector(`[data-id="${CSS.escape(id)}"]`)?.scrollIntoView({ block: 'nearest' });
     }
-  }, [handleOptionChange]);
+  }, [cellAt, elementList, boxes]);
+
+  const handleDownload = useCallback(() => {
+    const name = sourceName.startsWith('file: ') ? sourceName.slice(6).replace(/\..*$/, '') : 'drawing';
+    const url = URL.createObjectURL(new Blob([output], { type: 'text/plain' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${name}.txt`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }, [output, sourceName]);
+
+  // The same elements the ASCII shows, drawn over the same grid
+  const preview = useMemo(() => {
+    if (!showPreview || !meta || !scene || isLibrary(scene)) return '';
+    const { elements } = selectElements(scene.elements || [], { frame: activeFrame || undefined, ids });
+    return scenePreview(elements, meta, { grid: showGrid });
+  }, [showPreview, showGrid, meta, scene, activeFrame, ids]);
 
   return (
     <div className="container">
@@ -152,18 +303,37 @@ function App() {
         <div className="dropzone-icon">📁</div>
         <div className="dropzone-text">
           <strong>Drop your .excalidraw file here</strong><br />
-          or click to browse
+          or click to browse, or paste shapes copied in Excalidraw<br />
+          <small>Also reads .excalidraw.svg and .excalidraw.png exports, Obsidian drawings and .excalidrawlib libraries</small>
         </div>
       </div>
       
       <input 
         ref={fileInputRef}
         type="file" 
-        accept=".excalidraw,.json"
+        accept={SOURCE_EXTENSIONS.join(',')}
         onChange={handleFileChange}
       />
 
-      {hasData && (
+      <div className="section-header">
+        <span className="section-title">Scene JSON</span>
+        <button className="btn" onClick={() => setShowEditor(open => !open)}>
+          {showEditor ? 'Hide editor' : 'Edit JSON'}
+        </button>
+      </div>
+      {showEditor && (
+        <div className="editor">
+          <textarea
+            value={editorText}
+            onChange={handleEditorChange}
+            spellCheck={false}
+            placeholder='Paste or type Excalidraw JSON: { "elements": [...] }'
+          />
+          {editorError && <div className="editor-error">{editorError}</div>}
+        </div>
+      )}
+
+      {scene && (
         <div className="output-section">
           <div className="options">
             <div className="option">
@@ -171,10 +341,7 @@ function App() {
                 type="checkbox" 
                 id="showText" 
                 checked={showText}
-                onChange={(e) => {
-                  setShowText(e.target.checked);
-                  handleOptionChange();
-                }}
+                onChange={(e) => setOption('showText', e.target.checked)}
               />
               <label htmlFor="showText">Include text labels</label>
             </div>
@@ -183,13 +350,102 @@ function App() {
                 type="checkbox" 
                 id="doubleLines"
                 checked={doubleLines}
-                onChange={(e) => {
-                  setDoubleLines(e.target.checked);
-                  handleOptionChange();
-                }}
+                onChange={(e) => setOption('doubleLines', e.target.checked)}
               />
               <label htmlFor="doubleLines">Double-line borders</label>
             </div>
+            <div className="option">
+              <input 
+                type="checkbox" 
+                id="shading"
+                checked={shading}
+                onChange={(e) => setOption('shading', e.target.checked)}
+              />
+              <label htmlFor="shading">Shade filled shapes</label>
+            </div>
+            {elementList.length > 0 && (
+              <div className="option">
+                <input 
+                  type="checkbox" 
+                  id="showPreview"
+                  checked={showPreview}
+                  onChange={(e) => setOption('showPreview', e.target.checked)}
+                />
+                <label htmlFor="showPreview">Vector preview</label>
+              </div>
+            )}
+            {showPreview && elementList.length > 0 && (
+              <div className="option">
+                <input 
+                  type="checkbox" 
+                  id="showGrid"
+                  checked={showGrid}
+                  onChange={(e) => setOption('showGrid', e.target.checked)}
+                />
+                <label htmlFor="showGrid">Cell grid</label>
+              </div>
+            )}
+            <div className="option">
+              <input 
+                type="checkbox" 
+                id="showSummary"
+                checked={showSummary}
+                onChange={(e) => setOption('showSummary', e.target.checked)}
+              />
+              <label htmlFor="showSummary">Scene summary</label>
+            </div>
+            <div className="option">
+              <label htmlFor="charset">Characters:</label>
+              <select
+                id="charset"
+                value={charset}
+                onChange={(e) => setOption('charset', e.target.value)}
+              >
+                {CHARSETS.map(name => (
+                  <option key={name} value={name}>{name}</option>
+                ))}
+              </select>
+            </div>
+            <div className="option">
+              <label htmlFor="highRes">Strokes:</label>
+              <select
+                id="highRes"
+                value={highRes}
+                onChange={(e) => setOption('highRes', e.target.value)}
+              >
+                <option value="">box drawing</option>
+                {HIGH_RES_MODES.map(mode => (
+                  <option key={mode} value={mode}>{mode}</option>
+                ))}
+              </select>
+            </div>
+            <div className="option">
+              <label htmlFor="color">Colors:</label>
+              <select
+                id="color"
+                value={color}
+                onChange={(e) => setOption('color', e.target.value)}
+              >
+                <option value="">off</option>
+                <option value="html">show</option>
+                <option value="legend">legend</option>
+              </select>
+            </div>
+            {frames.length > 0 && (
+              <div className="option">
+                <label htmlFor="frame">Frame:</label>
+                <select
+                  id="frame"
+                  value={activeFrame}
+                  onChange={(e) => setFrame(e.target.value)}
+                >
+                  <option value="">Whole scene</option>
+                  {frames.map(f => (
+                    <option key={f.id} value={f.id}>{f.name}</option>
+                  ))}
+                </select>
+              </div>
+            )}
             <div className="option">
               <label htmlFor="scale">Scale:</label>
               <input 
@@ -201,30 +457,147 @@ function App() {
                 step={0.1}
                 onChange={(e) => {
                   const value = parseFloat(e.target.value) || 1;
-                  setScale(value);
+                  setOption('scale', value);
                 }}
-                onBlur={handleOptionChange}
               />
             </div>
-            <button className="btn btn-primary" onClick={handleGenerate}>
-              🔄 Regenerate
-            </button>
+            <div className="option">
+              <label htmlFor="fitWidth">Fit columns:</label>
+              <input 
+                type="number" 
+                id="fitWidth"
+                value={fitWidth}
+                min={10}
+                step={1}
+                placeholder="auto"
+                onChange={(e) => setOption('fitWidth', parseInt(e.target.value, 10) || '')}
+              />
+            </div>
+            <div className="option">
+              <label htmlFor="fitHeight">Fit rows:</label>
+              <input 
+                type="number" 
+                id="fitHeight"
+                value={fitHeight}
+                min={5}
+                step={1}
+                placeholder="auto"
+                onChange={(e) => setOption('fitHeight', parseInt(e.target.value, 10) || '')}
+              />
+            </div>
           </div>
 
           <div className="section-header">
             <span className="section-title">ASCII Output</span>
-            <button className="btn btn-primary" onClick={handleCopy}>
-              {copyFeedback}
-            </button>
+            <div className="section-actions">
+              <button className="btn" onClick={handleDownload}>
+                Download .txt
+              </button>
+              <button className="btn btn-primary" onClick={handleCopy}>
+                {copyFeedback}
+              </button>
+            </div>
           </div>
           
-          <div className="output-container">
-            <pre>{output}</pre>
+          <div className="output-body">
+            <div className="output-container">
+              <div
+                className="output-canvas"
+                ref={outputRef}
+                onMouseMove={handleOutputHover}
+                onMouseLeave={() => setHovered(null)}
+                onClick={handleOutputClick}
+              >
+                {colored
+                  ? <pre dangerouslySetInnerHTML={{ __html: colored }} />
+                  : <pre>{output}</pre>}
+                {[selected, hovered].filter(id => id && boxes[id]).map((id, i) => (
+                  <div
+                    key={`${i}-${id}`}
+                    className={i === 0 && id === selected ? 'cell-highlight selected' : 'cell-highlight'}
+                    style={{
+                      left: `${boxes[id].x}ch`,
+                      top: `${boxes[id].y * 1.4}em`,
+                      width: `${boxes[id].width}ch`,
+                      height: `${boxes[id].height * 1.4}em`,
+                    }}
+                  />
+                ))}
+                <pre className="cell-probe" ref={probeRef} aria-hidden="true">0</pre>
+              </div>
+            </div>
+
+            {preview && (
+              <div className="output-container preview-container">
+                <div
+                  className="preview-canvas"
+                  style={{ width: `${meta.columns}ch`, height: `${(meta.rows - meta.trimmed.top - meta.trimmed.bottom) * 1.4}em` }}
+                  dangerouslySetInnerHTML={{ __html: preview }}
+                />
+              </div>
+            )}
+
+            {elementList.length > 0 && (
+              <div className="element-panel" ref={panelRef}>
+                <div className="element-panel-header">
+                  <span className="section-title">Elements</span>
+                  <button className="btn" onClick={() => setHidden([])} disabled={hidden.length === 0}>
+                    Show all
+                  </button>
+                </div>
+                <ul>
+                  {elementList.map(el => (
+                    <li
+                      key={el.id}
+                      data-id={el.id}
+                      className={[el.id === selected && 'selected', hidden.includes(el.id) && 'hidden'].filter(Boolean).join(' ')}
+                      onMouseEnter={() => setHovered(el.id)}
+                      onMouseLeave={() => setHovered(null)}
+                    >
+                      <label>
+                        <input
+                          type="checkbox"
+                          checked={!hidden.includes(el.id)}
+                          onChange={() => toggleHidden(el.id)}
+                        />
+                        <span className="element-type">{el.type}</span>
+                        <span className="element-label">{el.label || el.id}</span>
+                      </label>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
           </div>
+
+          {elementList.length > 0 && (
+            <div className="element-info">
+              {(() => {
+                const el = elementList.find(item => item.id === (hovered || selected));
+                if (!el) return 'Hover the output to see which element drew it; click to find it in the list';
+                return `${el.type} ${el.id}${el.label ? ` · "${el.label}"` : ''}`;
+              })()}
+            </div>
+          )}
           
-          <div className="stats">{stats}</div>
+          {rendered.error && <div className="error">{rendered.error}</div>}
+          <div className="stats">{result?.stats}</div>
+
+          {showSummary && (
+            <>
+              <div className="section-header" style={{ marginTop: '24px' }}>
+                <span className="section-title">🧭 Scene Summary</span>
+                <button className="btn" onClick={handleCopySummary}>
+                  Copy summary
+                </button>
+              </div>
+              <div className="output-container">
+                <pre>{result?.summary}</pre>
+              </div>
+            </>
+          )}
 
-          {showConsole && (
+          {consoleOutput && (
             <>
               <div className="section-header" style={{ marginTop: '24px' }}>
                 <span className="section-title">🖥️ Console Output</span>
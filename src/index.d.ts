@@ -0,0 +1,305 @@
+export interface ExcalidrawScene {
+  elements?: ExcalidrawElement[];
+  [key: string]: unknown;
+}
+
+export interface ExcalidrawElement {
+  id: string;
+  type: string;
+  x: number;
+  y: number;
+  width?: number;
+  height?: number;
+  [key: string]: unknown;
+}
+
+export type Charset = 'ascii' | 'light' | 'rounded' | 'heavy' | 'double';
+
+export const CHARSETS: Charset[];
+
+export type HighResMode = 'braille' | 'blocks';
+
+export const HIGH_RES_MODES: HighResMode[];
+
+export type ColorMode = 'ansi' | 'truecolor' | 'html' | 'legend';
+
+export const COLOR_MODES: ColorMode[];
+
+export type Format = 'text' | 'markdown' | 'html' | 'svg' | 'json' | 'mermaid' | 'dot';
+
+export const FORMATS: Format[];
+
+/** Formats that export `meta.graph` instead of the ASCII. */
+export const GRAPH_FORMATS: Format[];
+
+export interface RenderOptions {
+  /** Draw text elements and labels (default `true`). */
+  showText?: boolean;
+  /** Characters to draw with (default `'light'`). Unknown names throw. */
+  charset?: Charset;
+  /** Draw rectangle borders with double lines, whatever the charset (default `false`). */
+  doubleLines?: boolean;
+  /** Multiplier over the 8×16 pixel character cell (default `1`). */
+  scale?: number;
+  /** Horizontal scale, overriding `scale`. */
+  scaleX?: number;
+  /** Vertical scale, overriding `scale`. */
+  scaleY?: number;
+  /** Height of a character cell over its width (default `2`). */
+  cellAspect?: number;
+  /** Fit the grid into this many columns, computing the scale. */
+  width?: number;
+  /**
+   * Fit the grid into this many rows. With `width`, whichever is tighter
+   * wins and the `scaleX`/`scaleY` ratio is kept.
+   */
+  height?: number;
+  /**
+   * How `output` wraps the ASCII (default `'text'`), or `'mermaid'`/`'dot'`
+   * for the graph of shapes and bound arrows. Unknown names throw.
+   */
+  format?: Format;
+  /** Title for the formats that take one (all but `text`). */
+  title?: string;
+  /**
+   * Add the scene summary after the ASCII in the `text`, `markdown`, `html`
+   * and `json` formats.
+   */
+  summary?: boolean;
+  /**
+   * Draw strokes, freehand sketches included, in dots finer than a cell:
+   * `'braille'` (2×4 per cell) or `'blocks'` (2×2). Text stays as characters.
+   * Unknown modes throw.
+   */
+  highRes?: HighResMode;
+  /**
+   * Shade filled rectangles, diamonds and ellipses by their fill style
+   * (default true): `░▒▓` by how dark a solid fill is, `╱` for hachure and
+   * `╳` for cross-hatch, in ASCII `.:#`, `/` and `X`. Shading never covers
+   * text or strokes.
+   */
+  shading?: boolean;
+  /**
+   * Carry stroke and background colors into the output: `'ansi'` (256-color
+   * escapes), `'truecolor'` (24-bit escapes) or `'html'` (styled spans) fill
+   * `colored` and color the `text` or `html` format; `'legend'` keeps the
+   * output plain and names the colors in `legend` instead. Unknown modes throw.
+   */
+  color?: ColorMode;
+  /** Render only this frame (name or id) and its contents, cropped to the frame. Unknown frames throw. */
+  frame?: string;
+  /** Render only the elements in this group. */
+  group?: string;
+  /** Render only these elements. Unknown ids throw. */
+  ids?: string[];
+  /** Render only what overlaps this box, cropped to it, in scene pixels. */
+  region?: Region;
+}
+
+export interface Region {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+/** Cells an element drew into, in output rows and columns. */
+export interface CellBox {
+  type: string;
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+export interface GraphNode {
+  /** Element id. */
+  id: string;
+  /** Short id used in Mermaid and DOT, e.g. `n1`. */
+  key: string;
+  shape: 'rectangle' | 'diamond' | 'ellipse';
+  label: string;
+  /** Text element the label comes from. */
+  labelId: string | null;
+  rounded: boolean;
+}
+
+export interface GraphEdge {
+  /** Arrow element id. */
+  id: string;
+  /** Node keys, in the direction the arrowheads point. */
+  from: string;
+  to: string;
+  label: string;
+  directed: 'forward' | 'both' | 'none';
+  style: string;
+}
+
+export interface SceneGraph {
+  nodes: GraphNode[];
+  edges: GraphEdge[];
+  /** Arrows left out because they are not bound at both ends, and the like. */
+  warnings: string[];
+  /** Whichever way the edges mostly run. */
+  direction: 'LR' | 'TD';
+}
+
+export interface RenderMeta {
+  /** Number of elements in the scene. */
+  elements: number;
+  /** Grid width in characters. */
+  columns: number;
+  /** Grid height in characters. */
+  rows: number;
+  /** Length of `ascii`. */
+  chars: number;
+  /** Scene area covered by the grid, in pixels, padding included. */
+  bounds: { minX: number; minY: number; maxX: number; maxY: number } | null;
+  /** Blank grid rows cut off the top and bottom of `ascii`. */
+  trimmed: { top: number; bottom: number };
+  /** Scales used, after fitting. */
+  scale: { x: number; y: number };
+  /** Character cell size in scene pixels at scale 1. */
+  cell: { width: number; height: number };
+  /** Cell box of every element that drew something, by element id. */
+  boxes: Record<string, CellBox>;
+  /** Shapes and the arrows bound between them. */
+  graph: SceneGraph;
+}
+
+export interface RenderResult {
+  ascii: string;
+  /** `ascii` in the requested format. */
+  output: string;
+  /** One-line human-readable summary of `meta`. */
+  stats: string;
+  /** Outline of the containers, their nesting and connections. */
+  summary: string;
+  /** `ascii` marked up with colors, when `color` is `'ansi'`, `'truecolor'` or `'html'`. */
+  colored?: string;
+  /** What each color marks, one line per color, when `color` is `'legend'`. */
+  legend?: string;
+  meta: RenderMeta;
+}
+
+export function renderASCII(data: ExcalidrawScene, options?: RenderOptions): RenderResult;
+
+export interface ExcalidrawLibrary {
+  type?: 'excalidrawlib';
+  version?: number;
+  /** Version 2 libraries. */
+  libraryItems?: { id?: string; name?: string; elements: ExcalidrawElement[] }[];
+  /** Version 1 libraries: bare element arrays. */
+  library?: ExcalidrawElement[][];
+}
+
+export interface LibraryItem {
+  id: string;
+  name: string;
+  elements: ExcalidrawElement[];
+}
+
+export interface LibraryRenderResult {
+  /** Every item under its name, in library order. */
+  ascii: string;
+  /** The catalog in the requested format. */
+  output: string;
+  stats: string;
+  /** Every item's summary under its name. */
+  summary: string;
+  /** The catalog marked up with colors, as for a single render. */
+  colored?: string;
+  /** Every item's legend under its name. */
+  legend?: string;
+  /** Each item's own render, with `output` titled by the item's name. */
+  items: (RenderResult & { id: string; name: string })[];
+}
+
+export function isLibrary(data: unknown): data is ExcalidrawLibrary;
+
+export function libraryItems(library: ExcalidrawLibrary): LibraryItem[];
+
+/** Renders each library item as its own snippet, at its own origin. */
+export function renderLibrary(library: ExcalidrawLibrary, options?: RenderOptions): LibraryRenderResult;
+
+/** File names `validateFile` accepts, longest first. */
+export const SOURCE_EXTENSIONS: readonly string[];
+
+/**
+ * Extracts the scene from Excalidraw JSON, an `.excalidraw.svg` or
+ * `.excalidraw.png` export with the scene embedded, or an Obsidian
+ * `.excalidraw.md` drawing. Libraries load as they are. Throws when there is
+ * no scene to extract.
+ */
+export function loadScene(content: string | ArrayBuffer | Uint8Array): ExcalidrawScene | ExcalidrawLibrary;
+
+/** Returns an error message for an unsupported file, or `null`. */
+export function validateFile(file: { name: string } | null | undefined): string | null;
+
+/** Shapes become nodes, arrows bound at both ends become edges. */
+export function extractGraph(elements: ExcalidrawElement[]): SceneGraph;
+
+export function toMermaid(graph: SceneGraph, title?: string): string;
+
+export function toDOT(graph: SceneGraph, title?: string): string;
+
+/**
+ * Outlines a scene: containers with their labels, nested by geometry and
+ * frames, then the connections between them.
+ */
+export function summarizeScene(elements: ExcalidrawElement[]): string;
+
+/** The scene's frames, unnamed ones called "Frame". */
+export function sceneFrames(elements: ExcalidrawElement[]): { id: string; name: string }[];
+
+/**
+ * The elements drawn on their own, without the labels bound to them; a
+ * container's label, text's text or a frame's name is its `label`.
+ */
+export function listElements(elements: ExcalidrawElement[]): { id: string; type: string; label: string }[];
+
+/**
+ * Draws the elements a render drew as a plain SVG over the area it covered,
+ * stretched to its grid (one cell per 8×16 pixels) so it lines up with the
+ * ASCII. `grid` overlays the character cells. '' for an empty render.
+ */
+export function scenePreview(
+  elements: ExcalidrawElement[],
+  meta: RenderMeta,
+  options?: { grid?: boolean }
+): string;
+
+/**
+ * Narrows elements to a frame, group, id list and/or region, labels
+ * included, with the box to crop the output to.
+ */
+export function selectElements(
+  elements: ExcalidrawElement[],
+  selection?: Pick<RenderOptions, 'frame' | 'group' | 'ids' | 'region'>
+): { elements: ExcalidrawElement[]; clip: Region | null };
+
+/** Wraps rendered ASCII in one of the output formats. */
+export function formatOutput(
+  ascii: string,
+  meta: RenderMeta,
+  format: Format,
+  options?: { title?: string; summary?: string; legend?: string; color?: ColorMode; colored?: string }
+): string;
+
+export interface ImportOptions {
+  /** Scale the diagram was rendered at (default 1) */
+  scale?: number;
+  /** Its character cell height over width (default 2) */
+  cellAspect?: number;
+}
+
+/**
+ * Parses an ASCII or Unicode box diagram, or the first fenced block of a
+ * Markdown document, into an Excalidraw scene.
+ */
+export function importASCII(text: string, options?: ImportOptions): ExcalidrawScene & {
+  type: 'excalidraw';
+  version: number;
+  source: string;
+  elements: ExcalidrawElement[];
+};
@@ -0,0 +1,16 @@
+/**
+ * Library entry point: the renderer shared by the CLI and the web app.
+ */
+
+export { renderASCII } from './utils/asciiRenderer.js';
+export { loadScene, validateFile, SOURCE_EXTENSIONS } from './utils/loaders.js';
+export { renderLibrary, isLibrary, libraryItems } from './utils/library.js';
+export { CHARSETS } from './utils/charsets.js';
+export { HIGH_RES_MODES } from './utils/subcells.js';
+export { COLOR_MODES } from './utils/colors.js';
+export { FORMATS, GRAPH_FORMATS, formatOutput } from './utils/formats.js';
+export { extractGraph, toMermaid, toDOT } from './utils/graph.js';
+export { summarizeScene } from './utils/summary.js';
+export { importASCII } from './utils/asciiImport.js';
+export { selectElements, sceneFrames, listElements } from './utils/selection.js';
+export { scenePreview } from './utils/preview.js';
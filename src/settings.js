@@ -0,0 +1,87 @@
+/**
+ * The web app's options, kept across reloads in localStorage and written
+ * into the page URL so a link opens with the same settings. The URL wins
+ * over what was stored.
+ */
+
+import { CHARSETS } from './utils/charsets';
+import { HIGH_RES_MODES } from './utils/subcells';
+
+const STORAGE_KEY = 'excalidraw-to-ascii:options';
+
+// Every option and its default; the default's type is the option's type.
+// Fit columns and rows are numbers once set.
+export const DEFAULT_OPTIONS = {
+  showText: true,
+  shading: true,
+  doubleLines: false,
+  charset: 'light',
+  highRes: '',
+  color: '',
+  scale: 1,
+  fitWidth: '',
+  fitHeight: '',
+  showSummary: false,
+  showPreview: false,
+  showGrid: false,
+};
+
+// Options limited to a set of values
+const CHOICES = {
+  charset: CHARSETS,
+  highRes: ['', ...HIGH_RES_MODES],
+  color: ['', 'html', 'legend'],
+};
+const OPTIONAL_NUMBERS = ['fitWidth', 'fitHeight'];
+
+// An option's value from its URL parameter, or undefined when it won't do
+function parseParam(name, param) {
+  const fallback = DEFAULT_OPTIONS[name];
+  if (typeof fallback === 'boolean') return param === 'true' ? true : param === 'false' ? false : undefined;
+  if (typeof fallback === 'number' || OPTIONAL_NUMBERS.includes(name)) {
+    if (param === '') return OPTIONAL_NUMBERS.includes(name) ? '' : undefined;
+    const value = Number(param);
+    return Number.isFinite(value) && value > 0 ? value : undefined;
+  }
+  return param;
+}
+
+function isValid(name, value) {
+  if (value === undefined) return false;
+  if (CHOICES[name]) return CHOICES[name].includes(value);
+  if (OPTIONAL_NUMBERS.includes(name)) return value === '' || typeof value === 'number';
+  return typeof value === typeof DEFAULT_OPTIONS[name];
+}
+
+export function loadOptions() {
+  let stored = {};
+  try {
+    stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || {};
+  } catch {
+    // Unreadable or blocked storage starts from the defaults
+  }
+  const params = new URLSearchParams(window.location.search);
+  const options = { ...DEFAULT_OPTIONS };
+  Object.keys(DEFAULT_OPTIONS).forEach(name => {
+    const value = [params.has(name) ? parseParam(name, params.get(name)) : undefined, stored[name]]
+      .find(candidate => isValid(name, candidate));
+    if (value !== undefined) options[name] = value;
+  });
+  return options;
+}
+
+/** Stores the options and puts those set away from their default in the URL. */
+export function saveOptions(options) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(options));
+  } catch {
+    // Private browsing can refuse storage; the URL still has them
+  }
+  const params = new URLSearchParams(window.location.search);
+  Object.entries(options).forEach(([name, value]) => {
+    if (value === DEFAULT_OPTIONS[name]) params.delete(name);
+    else params.set(name, String(value));
+  });
+  const query = params.toString();
+  window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+}
@@ -0,0 +1,186 @@
+/**
+ * Orthogonal arrow routing on the character grid.
+ *
+ * Paths are found with an A* search over (cell, heading) states, where
+ * every step costs 1 and every change of heading costs extra, so routes come
+ * out with as few bends as the obstacles allow. Steps right next to an
+ * obstacle cost a little more, which keeps routes off box borders.
+ */
+
+// Headings in clockwise order: up, right, down, left
+export const HEADINGS = [
+  { dx: 0, dy: -1 },
+  { dx: 1, dy: 0 },
+  { dx: 0, dy: 1 },
+  { dx: -1, dy: 0 },
+];
+
+const TURN_COST = 4;
+const HUG_COST = 1;
+
+/**
+ * Heading (index into HEADINGS) of a single step between adjacent cells.
+ */
+export function headingOf(from, to) {
+  if (to.y < from.y) return 0;
+  if (to.x > from.x) return 1;
+  if (to.y > from.y) return 2;
+  return 3;
+}
+
+// Cells around the ends a search first keeps to, doubled each time no
+// path fits
+const SEARCH_MARGIN = 8;
+
+/**
+ * Makes a router for a grid, holding the search state for every route on it
+ * so the arrows of one render share it instead of each allocating its own.
+ * The router takes the same route as `routeOrthogonal`, without the grid
+ * size.
+ */
+export function createRouter(width, height) {
+  const cost = new Float64Array(width * height * 4);
+  const previous = new Int32Array(width * height * 4);
+  const stateIndex = (x, y, heading) => (y * width + x) * 4 + heading;
+
+  // A* within a window of the grid, guided by the distance left to go, which
+  // never overestimates as every step costs at least 1
+  function search({ start, end, startHeading, endHeading, isBlocked }, window) {
+    for (let y = window.top; y <= window.bottom; y++) {
+      const from = stateIndex(window.left, y, 0);
+      const to = stateIndex(window.right, y, 3) + 1;
+      cost.fill(Infinity, from, to);
+      previous.fill(-1, from, to);
+    }
+    // Costs are small integers, so a bucket queue is enough
+    const buckets = [];
+    const remaining = (x, y) => Math.abs(end.x - x) + Math.abs(end.y - y);
+    const push = (state, estimate) => {
+      (buckets[estimate] || (buckets[estimate] = [])).push(state);
+    };
+    const inWindow = (x, y) => x >= window.left && x <= window.right && y >= window.top && y <= window.bottom;
+
+    HEADINGS.forEach((_, heading) => {
+      if (startHeading !== undefined && heading !== startHeading) return;
+      const state = stateIndex(start.x, start.y, heading);
+      cost[state] = 0;
+      push(state, remaining(start.x, start.y));
+    });
+
+    let found = -1;
+    let foundCost = Infinity;
+    for (let estimate = 0; estimate < buckets.length && estimate < foundCost; estimate++) {
+      const bucket = buckets[estimate];
+      if (!bucket) continue;
+      while (bucket.length > 0) {
+        const state = bucket.pop();
+        const heading = state % 4;
+        const cell = Math.floor(state / 4);
+        const x = cell % width;
+        const y = Math.floor(cell / width);
+        const c = cost[state];
+        if (c + remaining(x, y) !== estimate) continue;
+
+        if (x === end.x && y === end.y) {
+          if ((endHeading === undefined || heading === endHeading) && c < foundCost) {
+            foundCost = c;
+            found = state;
+          }
+          continue;
+        }
+
+        for (let next = 0; next < 4; next++) {
+          // Never double back
+          if (next === (heading + 2) % 4) continue;
+          // The first step must honour the required heading
+          if (x === start.x && y === start.y && startHeading !== undefined && next !== startHeading) continue;
+          const nx = x + HEADINGS[next].dx;
+          const ny = y + HEADINGS[next].dy;
+          if (!inWindow(nx, ny)) continue;
+          const isEnd = nx === end.x && ny === end.y;
+          if (!isEnd && isBlocked(nx, ny)) continue;
+          const hugs = !isEnd && (isBlocked(nx, ny - 1) || isBlocked(nx + 1, ny) || isBlocked(nx, ny + 1) || isBlocked(nx - 1, ny));
+          const nextCost = c + 1 + (next !== heading ? TURN_COST : 0) + (hugs ? HUG_COST : 0);
+          const nextState = stateIndex(nx, ny, next);
+          if (nextCost < cost[nextState]) {
+            cost[nextState] = nextCost;
+            previous[nextState] = state;
+            push(nextState, nextCost + remaining(nx, ny));
+          }
+        }
+      }
+    }
+
+    if (found === -1) return null;
+
+    const path = [];
+    for (let state = found; state !== -1; state = previous[state]) {
+      const cell = Math.floor(state / 4);
+      path.push({ x: cell % width, y: Math.floor(cell / width) });
+    }
+    return path.reverse();
+  }
+
+  return ({ start, end, startHeading, endHeading, isBlocked = () => false }) => {
+    if (start.x === end.x && start.y === end.y) return [start];
+    const inBounds = (x, y) => x >= 0 && x < width && y >= 0 && y < height;
+    if (!inBounds(start.x, start.y) || !inBounds(end.x, end.y)) return null;
+
+    const route = { start, end, startHeading, endHeading, isBlocked };
+    for (let margin = SEARCH_MARGIN; ; margin *= 2) {
+      const window = {
+        left: Math.max(0, Math.min(start.x, end.x) - margin),
+        right: Math.min(width - 1, Math.max(start.x, end.x) + margin),
+        top: Math.max(0, Math.min(start.y, end.y) - margin),
+        bottom: Math.min(height - 1, Math.max(start.y, end.y) + margin),
+      };
+      const path = search(route, window);
+      const whole = window.left === 0 && window.top === 0 && window.right === width - 1 && window.bottom === height - 1;
+      if (path || whole) return path;
+    }
+  };
+}
+
+/**
+ * Finds an orthogonal path of adjacent cells from `start` to `end`. The
+ * search keeps near the two ends and widens only when no path fits there.
+ *
+ * @param {object} route
+ * @param {{x: number, y: number}} route.start
+ * @param {{x: number, y: number}} route.end
+ * @param {number} [route.startHeading] Heading the path must leave `start` in
+ * @param {number} [route.endHeading] Heading the path must arrive at `end` in
+ * @param {(x: number, y: number) => boolean} [route.isBlocked] Cells to avoid;
+ *   `start` and `end` are never treated as blocked
+ * @param {number} route.width Grid width in cells
+ * @param {number} route.height Grid height in cells
+ * @returns {{x: number, y: number}[] | null} Cells from start to end, or null
+ *   when every path is blocked or none can arrive in `endHeading`
+ */
+export function routeOrthogonal({ width, height, ...route }) {
+  return createRouter(width, height)(route);
+}
+
+/**
+ * Joins points with axis-aligned segments, going horizontally first where a
+ * pair is not already aligned. Returns the cells along the way.
+ */
+export function orthogonalPath(points) {
+  const path = [];
+  const add = cell => {
+    const last = path[path.length - 1];
+    if (!last || last.x !== cell.x || last.y !== cell.y) path.push(cell);
+  };
+  points.forEach((point, i) => {
+    if (i === 0) {
+      add(point);
+      return;
+    }
+    const from = path[path.length - 1];
+    const stepX = Math.sign(point.x - from.x);
+    const stepY = Math.sign(point.y - from.y);
+    for (let x = from.x + stepX; stepX && x !== point.x + stepX; x += stepX) add({ x, y: from.y });
+    for (let y = from.y + stepY; stepY && y !== point.y + stepY; y += stepY) add({ x: point.x, y });
+  });
+  return path;
+}
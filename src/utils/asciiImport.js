@@ -0,0 +1,712 @@
+/**
+ * Reads box diagrams drawn with ASCII or Unicode box-drawing characters back
+ * into an Excalidraw scene, the reverse of the renderer: boxes become
+ * rectangles, outlines of diagonals diamonds, rounded loops ellipses, text
+ * inside a shape its bound label, shading inside it its fill, and lines
+ * between shapes bound arrows.
+ *
+ * Cells map to scene pixels the way the renderer's `toGrid` maps pixels to
+ * cells, run backwards: every element starts at the centre of its first
+ * cell, so rendering the scene again puts each character back where it was.
+ */
+
+import { UP, RIGHT, DOWN, LEFT, glyphMask, weightAt } from './boxDrawing.js';
+import { HEADINGS } from './arrowRouting.js';
+import { arrowheadFromGlyph } from './charsets.js';
+import { CELL_WIDTH } from './asciiRenderer.js';
+
+// Headings (up, right, down, left) as bits of a cell's stroke directions
+const HEADING_STROKES = [UP, RIGHT, DOWN, LEFT];
+const HORIZONTAL = 0b1010;
+const VERTICAL = 0b0101;
+
+const ROUNDED_CORNERS = { '╭': '┌', '╮': '┐', '╰': '└', '╯': '┘' };
+const BROKEN = {
+  '╌': [HORIZONTAL, 'dashed'], '╍': [HORIZONTAL, 'dashed'], '┄': [HORIZONTAL, 'dashed'], '┅': [HORIZONTAL, 'dashed'],
+  '╎': [VERTICAL, 'dashed'], '╏': [VERTICAL, 'dashed'], '┆': [VERTICAL, 'dashed'], '┇': [VERTICAL, 'dashed'],
+  '┈': [HORIZONTAL, 'dotted'], '┉': [HORIZONTAL, 'dotted'],
+  '┊': [VERTICAL, 'dotted'], '┋': [VERTICAL, 'dotted'],
+};
+// ASCII strokes, by the headings they run along. They only count as strokes
+// when another stroke meets them, so text like "e-mail" stays text.
+const ASCII_STROKES = { '-': [1, 3], '=': [1, 3], '|': [0, 2], ':': [0, 2] };
+const DIAGONALS = { '/': '/', '╱': '/', '\\': '\\', '╲': '\\' };
+// Fills the renderer shades shapes with, by shading glyph. Solid shades
+// get a gray as dark as they are.
+const SHADES = {
+  '░': { fillStyle: 'solid', backgroundColor: '#e9ecef' },
+  '▒': { fillStyle: 'solid', backgroundColor: '#868e96' },
+  '▓': { fillStyle: 'solid', backgroundColor: '#343a40' },
+  '╱': { fillStyle: 'hachure', backgroundColor: '#e9ecef' },
+  '╳': { fillStyle: 'cross-hatch', backgroundColor: '#e9ecef' },
+};
+// Characters that can sit on a diamond's vertex
+const VERTEX_CHARS = /[.+\-|_'`,─-╿]/;
+
+const LINE_HEIGHT = 1.25;
+// Excalidraw's monospace font
+const FONT_FAMILY = 3;
+
+const opposite = heading => (heading + 2) % 4;
+const bitCount = bits => [0, 1, 2, 3].filter(h => bits & (1 << h)).length;
+
+function glyphHeadings(char) {
+  const mask = glyphMask(ROUNDED_CORNERS[char] || char);
+  if (mask) {
+    return HEADING_STROKES.reduce((bits, shift, h) => (weightAt(mask, shift) ? bits | (1 << h) : bits), 0);
+  }
+  return BROKEN[char] ? BROKEN[char][0] : 0;
+}
+
+// The diagram itself: a fenced block's contents when there is one
+function diagramLines(text) {
+  const lines = text.replace(/\r/g, '').replace(/\t/g, '    ').split('\n');
+  const open = lines.findIndex(line => /^\s*(`{3,}|~{3,})/.test(line));
+  if (open !== -1) {
+    const fence = lines[open].trim().match(/^(`{3,}|~{3,})/)[1];
+    const close = lines.findIndex((line, i) => i > open && line.trim().startsWith(fence));
+    return lines.slice(open + 1, close === -1 ? undefined : close);
+  }
+  while (lines.length > 0 && lines[lines.length - 1].trim() === '') lines.pop();
+  return lines;
+}
+
+/**
+ * Parses a box diagram into an Excalidraw scene.
+ *
+ * @param {string} text The diagram, or Markdown holding it in a fenced block
+ * @param {object} [options]
+ * @param {number} [options.scale] The scale it was rendered at (default 1)
+ * @param {number} [options.cellAspect] Its cell aspect ratio (default 2)
+ * @returns {{ type: string, version: number, source: string, elements: object[], appState: object, files: object }}
+ */
+export function importASCII(text, options = {}) {
+  const { scale = 1, cellAspect = 2 } = options;
+  const cellW = CELL_WIDTH / scale;
+  const cellH = CELL_WIDTH * cellAspect / scale;
+  const rows = diagramLines(text).map(line => [...line]);
+  const height = rows.length;
+  const width = Math.max(0, ...rows.map(row => row.length));
+
+  const inGrid = (x, y) => x >= 0 && y >= 0 && x < width && y < height;
+  const charAt = (x, y) => (inGrid(x, y) && rows[y][x]) || ' ';
+  const key = (x, y) => y * width + x;
+  const step = (cell, heading) => ({ x: cell.x + HEADINGS[heading].dx, y: cell.y + HEADINGS[heading].dy });
+
+  // Stroke directions of every cell, as heading bits
+  const dirs = rows.map((_, y) => Array.from({ length: width }, (_, x) => glyphHeadings(charAt(x, y))));
+  const has = (x, y, heading) => inGrid(x, y) && (dirs[y][x] & (1 << heading)) !== 0;
+
+  // A single space between dashes is a gap in a dashed ASCII line
+  const isGap = (x, y) => charAt(x, y) === ' ' && charAt(x - 1, y) === '-' && charAt(x + 1, y) === '-';
+  // Whether a cell, read as a stroke of any kind, reaches out toward `heading`
+  const reaches = (x, y, heading) => {
+    const char = charAt(x, y);
+    if (has(x, y, heading) || char === '+' || ASCII_STROKES[char]?.includes(heading)) return true;
+    if (isGap(x, y)) return heading === 1 || heading === 3;
+    const head = arrowheadFromGlyph(char);
+    return Boolean(head) && head.heading !== null && opposite(head.heading) === heading;
+  };
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const char = charAt(x, y);
+      const candidates = char === '+' ? [0, 1, 2, 3] : ASCII_STROKES[char] || (isGap(x, y) ? [1, 3] : null);
+      if (!candidates) continue;
+      dirs[y][x] = candidates.reduce((bits, h) => {
+        const n = step({ x, y }, h);
+        const meets = reaches(n.x, n.y, opposite(h)) && !(char === '+' && charAt(n.x, n.y) === '+' && h % 2 === 1);
+        return meets ? bits | (1 << h) : bits;
+      }, 0);
+      if (char === '+' && bitCount(dirs[y][x]) < 2) dirs[y][x] = 0;
+    }
+  }
+
+  // Arrowheads at the end of a stroke; their cell joins the stroke. A head
+  // drawn the same every way round, such as a dot, points at the shape
+  // port it sits against, if any, and joins it: it starts the line there
+  // rather than ending it.
+  const facesPort = (cell, heading) => {
+    const port = step(cell, heading);
+    const bits = inGrid(port.x, port.y) ? dirs[port.y][port.x] : 0;
+    return bitCount(bits) === 3 && !(bits & (1 << heading)) && (bits & (1 << opposite(heading))) !== 0;
+  };
+  const heads = new Map();
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const head = arrowheadFromGlyph(charAt(x, y));
+      if (!head || dirs[y][x]) continue;
+      const headings = head.heading === null
+        ? [0, 1, 2, 3].sort((a, b) => facesPort({ x, y }, b) - facesPort({ x, y }, a))
+        : [head.heading];
+      const heading = headings.find(h => {
+        const tail = step({ x, y }, opposite(h));
+        return has(tail.x, tail.y, h);
+      });
+      if (heading === undefined) continue;
+      heads.set(key(x, y), { type: head.type, heading });
+      const starts = head.heading === null && facesPort({ x, y }, heading);
+      dirs[y][x] = 1 << opposite(heading) | (starts ? 1 << heading : 0);
+    }
+  }
+
+  const styleOf = cells => {
+    const styles = cells.map(({ x, y }) => (isGap(x, y) || charAt(x, y) === ':' ? 'dashed' : BROKEN[charAt(x, y)]?.[1]));
+    return styles.find(Boolean) || 'solid';
+  };
+
+  // Rectangles: the smallest closed outline from each top-left corner
+  const shapes = [];
+  const horizontalAt = (x, y) => has(x, y, 1) && has(x, y, 3);
+  const verticalAt = (x, y) => has(x, y, 0) && has(x, y, 2);
+  function closeBox(left, top, right) {
+    for (let bottom = top + 1; verticalAt(left, bottom - 1) || bottom === top + 1; bottom++) {
+      if (!has(left, bottom, 0) || !has(right, bottom, 0)) return null;
+      let closed = has(left, bottom, 1) && has(right, bottom, 3);
+      for (let x = left + 1; closed && x < right; x++) closed = horizontalAt(x, bottom);
+      if (closed) return bottom;
+      if (!verticalAt(left, bottom) || !verticalAt(right, bottom)) return null;
+    }
+    return null;
+  }
+  for (let top = 0; top < height; top++) {
+    for (let left = 0; left < width; left++) {
+      if (!has(left, top, 1) || !has(left, top, 2)) continue;
+      for (let right = left + 1; has(right, top, 3); right++) {
+        const bottom = has(right, top, 2) ? closeBox(left, top, right) : null;
+        if (bottom !== null) {
+          const border = [];
+          for (let x = left; x <= right; x++) border.push({ x, y: top }, { x, y: bottom });
+          for (let y = top + 1; y < bottom; y++) border.push({ x: left, y }, { x: right, y });
+          shapes.push({
+            type: 'rectangle', left, top, right, bottom, border,
+            style: styleOf(border),
+            rounded: charAt(left, top) in ROUNDED_CORNERS,
+            inside: (x, y) => x > left && x < right && y > top && y < bottom,
+          });
+          break;
+        }
+        if (!has(right, top, 1)) break;
+      }
+    }
+  }
+
+  // Diamonds: groups of touching diagonals with all four sides present. At a
+  // low or steep slope the sides step along runs of straight strokes, which
+  // join the group where they lead from one diagonal to the next.
+  const isRun = (x, y, heading) => (heading % 2
+    ? horizontalAt(x, y) || /[-=]/.test(charAt(x, y))
+    : verticalAt(x, y) || /[|:]/.test(charAt(x, y)));
+  const diagonalNear = (cell, except) => {
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        const n = { x: cell.x + dx, y: cell.y + dy };
+        if ((dx || dy) && DIAGONALS[charAt(n.x, n.y)] && !(n.x === except.x && n.y === except.y)) return n;
+      }
+    }
+    return null;
+  };
+  const bridges = new Map();
+  const bridge = (cell, other, run) => bridges.set(key(cell.x, cell.y), [...(bridges.get(key(cell.x, cell.y)) || []), { other, run }]);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!DIAGONALS[charAt(x, y)]) continue;
+      [0, 1, 2, 3].forEach(heading => {
+        const run = [];
+        for (let n = step({ x, y }, heading); isRun(n.x, n.y, heading); n = step(n, heading)) run.push(n);
+        const other = run.length > 0 && diagonalNear(run[run.length - 1], { x, y });
+        if (other) {
+          bridge({ x, y }, other, run);
+          bridge(other, { x, y }, run);
+        }
+      });
+      // Sides meeting at a corner that is a run of strokes: ╱ above ──
+      // above ╲, or the same turned a quarter
+      [[-1, -1], [-1, 1], [1, -1], [1, 1]].forEach(([dx, dy]) => {
+        const across = { x, y: y + 2 * dy };
+        const down = { x: x + 2 * dx, y };
+        if (isRun(x + dx, y + dy, 1) && DIAGONALS[charAt(across.x, across.y)]) bridge({ x, y }, across, []);
+        if (isRun(x + dx, y + dy, 0) && DIAGONALS[charAt(down.x, down.y)]) bridge({ x, y }, down, []);
+      });
+    }
+  }
+  const seen = new Set();
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!DIAGONALS[charAt(x, y)] || seen.has(key(x, y))) continue;
+      const cells = [];
+      const runs = new Set();
+      const queue = [{ x, y }];
+      seen.add(key(x, y));
+      const visit = n => {
+        if (!seen.has(key(n.x, n.y))) {
+          seen.add(key(n.x, n.y));
+          queue.push(n);
+        }
+      };
+      while (queue.length > 0) {
+        const cell = queue.pop();
+        cells.push(cell);
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dx = -1; dx <= 1; dx++) {
+            if (DIAGONALS[charAt(cell.x + dx, cell.y + dy)]) visit({ x: cell.x + dx, y: cell.y + dy });
+          }
+        }
+        (bridges.get(key(cell.x, cell.y)) || []).forEach(({ other, run }) => {
+          runs.add(run);
+          visit(other);
+        });
+      }
+      const diamond = diamondFrom(cells, [...runs]);
+      if (diamond) shapes.push(diamond);
+    }
+  }
+  function diamondFrom(diagonals, runs) {
+    const cells = [...diagonals, ...runs.flat()];
+    let left = Math.min(...cells.map(c => c.x));
+    let right = Math.max(...cells.map(c => c.x));
+    let top = Math.min(...cells.map(c => c.y));
+    let bottom = Math.max(...cells.map(c => c.y));
+    const midX = (left + right) / 2;
+    const midY = (top + bottom) / 2;
+    const sides = [
+      c => DIAGONALS[charAt(c.x, c.y)] === '/' && c.x <= midX && c.y <= midY,
+      c => DIAGONALS[charAt(c.x, c.y)] === '\\' && c.x >= midX && c.y <= midY,
+      c => DIAGONALS[charAt(c.x, c.y)] === '/' && c.x >= midX && c.y >= midY,
+      c => DIAGONALS[charAt(c.x, c.y)] === '\\' && c.x <= midX && c.y >= midY,
+    ];
+    if (bottom - top < 1 || !sides.every(side => diagonals.some(side))) return null;
+
+    // Vertex characters just beyond the outline belong to it, unless the
+    // outline already reaches that far. A side corner can be a run of
+    // strokes; it goes no further than the other side's, nor a cell past
+    // the longest step, so a line leaving the corner stays a line.
+    const border = [...cells];
+    const middleRows = [Math.floor(midY), Math.ceil(midY)];
+    const middleColumns = [Math.floor(midX), Math.ceil(midX)];
+    const reached = (xs, ys) => cells.some(c => xs.includes(c.x) && ys.includes(c.y));
+    const longestStep = Math.max(0, ...runs.map(run => run.length)) + 1;
+    const corner = (edge, dx) => {
+      if (reached([edge], middleRows)) return { extent: 0 };
+      return middleRows.reduce((best, y) => {
+        const run = [];
+        for (let x = edge + dx; run.length < longestStep; x += dx) {
+          const isVertex = run.length === 0 ? VERTEX_CHARS.test(charAt(x, y)) : isRun(x, y, 1);
+          if (!isVertex) break;
+          run.push({ x, y });
+        }
+        return run.length > best.extent ? { extent: run.length, run } : best;
+      }, { extent: 0 });
+    };
+    const leftCorner = corner(left, -1);
+    const rightCorner = corner(right, 1);
+    if (leftCorner.extent && rightCorner.extent) {
+      const extent = Math.min(leftCorner.extent, rightCorner.extent);
+      leftCorner.run = leftCorner.run.slice(0, extent);
+      rightCorner.run = rightCorner.run.slice(0, extent);
+    }
+    [leftCorner, rightCorner].forEach(({ run = [] }) => border.push(...run));
+    left -= (leftCorner.run || []).length;
+    right += (rightCorner.run || []).length;
+    const vertex = (vx, vy) => {
+      if (!VERTEX_CHARS.test(charAt(vx, vy))) return false;
+      border.push({ x: vx, y: vy });
+      return true;
+    };
+    if (!reached(middleColumns, [top]) && middleColumns.some(column => vertex(column, top - 1))) top--;
+    if (!reached(middleColumns, [bottom]) && middleColumns.some(column => vertex(column, bottom + 1))) bottom++;
+
+    const span = new Map();
+    border.forEach(c => {
+      const [min, max] = span.get(c.y) || [Infinity, -Infinity];
+      span.set(c.y, [Math.min(min, c.x), Math.max(max, c.x)]);
+    });
+    return {
+      type: 'diamond', left, top, right, bottom, border,
+      style: styleOf(border),
+      rounded: false,
+      inside: (x, y) => span.has(y) && x > span.get(y)[0] && x < span.get(y)[1],
+    };
+  }
+
+  // Ellipses: closed outlines with rounded corners that are no rectangle,
+  // followed clockwise from a top-left corner. Where a line joins, the walk
+  // keeps to the turn or the straight way on.
+  const onShape = new Set(shapes.flatMap(shape => shape.border.map(({ x, y }) => key(x, y))));
+  const looped = new Set();
+  const isCorner = (x, y) => charAt(x, y) in ROUNDED_CORNERS || charAt(x, y) === '+';
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!isCorner(x, y) || !has(x, y, 1) || !has(x, y, 2) || onShape.has(key(x, y)) || looped.has(key(x, y))) continue;
+      const loop = [{ x, y }];
+      let cell = loop[0];
+      let travel = 1;
+      for (let guard = 0; guard < width * height; guard++) {
+        const out = [(travel + 1) % 4, travel, (travel + 3) % 4].find(h => {
+          const n = step(cell, h);
+          return has(cell.x, cell.y, h) && has(n.x, n.y, opposite(h)) && !onShape.has(key(n.x, n.y));
+        });
+        if (out === undefined) break;
+        cell = step(cell, out);
+        travel = out;
+        if (cell.x === x && cell.y === y) break;
+        loop.push(cell);
+      }
+      if (cell.x !== x || cell.y !== y || loop.length < 4) continue;
+      const corners = loop.filter((c, i) => headingBetween([loop[(i + loop.length - 1) % loop.length], c], 0)
+        !== headingBetween([c, loop[(i + 1) % loop.length]], 0));
+      if (corners.length <= 4 || !corners.every(c => isCorner(c.x, c.y))) continue;
+      loop.forEach(c => looped.add(key(c.x, c.y)));
+      const span = new Map();
+      loop.forEach(c => {
+        const [min, max] = span.get(c.y) || [Infinity, -Infinity];
+        span.set(c.y, [Math.min(min, c.x), Math.max(max, c.x)]);
+      });
+      shapes.push({
+        type: 'ellipse',
+        left: Math.min(...loop.map(c => c.x)),
+        right: Math.max(...loop.map(c => c.x)),
+        top: y,
+        bottom: Math.max(...loop.map(c => c.y)),
+        border: loop,
+        style: styleOf(loop),
+        rounded: false,
+        inside: (cx, cy) => span.has(cy) && cx > span.get(cy)[0] && cx < span.get(cy)[1],
+      });
+    }
+  }
+
+  const shapeAt = new Map();
+  shapes.forEach(shape => shape.border.forEach(({ x, y }) => shapeAt.set(key(x, y), shape)));
+  const consumed = new Set(shapeAt.keys());
+
+  // Lines, followed from where they leave a shape and then from loose ends
+  const visited = new Set();
+  const isTextCell = (x, y) => inGrid(x, y) && charAt(x, y) !== ' ' && !dirs[y][x] && !consumed.has(key(x, y));
+  function bridgeLabel(from, heading) {
+    const cells = [];
+    let cell = from;
+    if (heading === 1 || heading === 3) {
+      // A label on a horizontal line sits in a gap of one space each side
+      if (charAt(cell.x, cell.y) !== ' ') return null;
+      cell = step(cell, heading);
+      while (isTextCell(cell.x, cell.y) || (charAt(cell.x, cell.y) === ' ' && isTextCell(...Object.values(step(cell, heading))))) {
+        cells.push(cell);
+        cell = step(cell, heading);
+      }
+      if (cells.length === 0 || charAt(cell.x, cell.y) !== ' ') return null;
+      cell = step(cell, heading);
+    } else {
+      // On a vertical line it takes over a row
+      if (!isTextCell(cell.x, cell.y)) return null;
+      let left = cell.x;
+      let right = cell.x;
+      const extends_ = x => isTextCell(x, cell.y) || (charAt(x, cell.y) === ' ' && isTextCell(x + Math.sign(x - cell.x), cell.y));
+      while (extends_(left - 1)) left--;
+      while (extends_(right + 1)) right++;
+      for (let x = left; x <= right; x++) cells.push({ x, y: cell.y });
+      cell = step(cell, heading);
+    }
+    if (!has(cell.x, cell.y, opposite(heading)) || visited.has(key(cell.x, cell.y))) return null;
+    const ordered = [...cells].sort((a, b) => a.x - b.x);
+    const label = ordered.map(c => charAt(c.x, c.y)).join('').trim();
+    return { next: cell, cells, label };
+  }
+
+  function trace(start, heading, from) {
+    const cells = [start];
+    const labels = [];
+    let cell = start;
+    let travel = heading;
+    let to = null;
+    for (let guard = 0; guard < width * height; guard++) {
+      if (bitCount(dirs[cell.y][cell.x]) < 3) visited.add(key(cell.x, cell.y));
+      if (heads.has(key(cell.x, cell.y)) && cells.length > 1) {
+        // An arrowhead against an outline, or a space short of it, points
+        // into that shape
+        const heading = heads.get(key(cell.x, cell.y)).heading;
+        let target = step(cell, heading);
+        if (charAt(target.x, target.y) === ' ') target = step(target, heading);
+        to = shapeAt.get(key(target.x, target.y)) || null;
+        break;
+      }
+      // Straight on where the cell allows it, else its one other way out
+      const bits = dirs[cell.y][cell.x];
+      const out = bits & (1 << travel) ? travel : [0, 1, 2, 3].find(h => h !== opposite(travel) && bits & (1 << h));
+      if (out === undefined) break;
+      const next = step(cell, out);
+      travel = out;
+      // Lines cross other shapes' outlines at a ┼
+      const crossing = has(next.x, next.y, out) && has(next.x, next.y, opposite(out));
+      if (shapeAt.has(key(next.x, next.y)) && !(crossing && shapeAt.get(key(next.x, next.y)) !== from)) {
+        to = shapeAt.get(key(next.x, next.y));
+        if (to === from && cells.length < 2) to = null;
+        break;
+      }
+      if (has(next.x, next.y, opposite(out)) && !visited.has(key(next.x, next.y))) {
+        cells.push(next);
+        cell = next;
+        continue;
+      }
+      const bridge = bridgeLabel(next, out);
+      if (!bridge) break;
+      labels.push(bridge);
+      cells.push(bridge.next);
+      cell = bridge.next;
+    }
+    return { cells, from, to, travel, labels };
+  }
+
+  const paths = [];
+  const startTrace = (start, heading, from) => {
+    if (!inGrid(start.x, start.y) || visited.has(key(start.x, start.y))) return;
+    paths.push(trace(start, heading, from));
+  };
+  // Lines leave a shape through a ┬├┤┴ port, or else start flush against
+  // its border (│───>, |--->) without one. An arrowhead against a border
+  // ends a line rather than starts it.
+  const leaving = (shape, isStart) => shape.border.forEach(cell => {
+    [0, 1, 2, 3].forEach(h => {
+      const next = step(cell, h);
+      if (shapeAt.has(key(next.x, next.y)) || shape.inside(next.x, next.y)) return;
+      if (isStart(cell, next, h)) startTrace(next, h, shape);
+    });
+  });
+  shapes.forEach(shape => leaving(shape, (cell, next, h) => (
+    has(cell.x, cell.y, h) && !has(cell.x, cell.y, opposite(h)) && has(next.x, next.y, opposite(h))
+  )));
+  shapes.forEach(shape => leaving(shape, (cell, next, h) => (
+    !has(cell.x, cell.y, h) && !heads.has(key(next.x, next.y))
+      && (has(next.x, next.y, opposite(h)) || has(next.x, next.y, h))
+  )));
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!dirs[y][x] || consumed.has(key(x, y)) || visited.has(key(x, y))) continue;
+      const ways = [0, 1, 2, 3].filter(h => {
+        const n = step({ x, y }, h);
+        return has(x, y, h) && (has(n.x, n.y, opposite(h)) || shapeAt.has(key(n.x, n.y)) || bridgeLabel(n, h));
+      });
+      if (ways.length === 1) {
+        // A loose end against a border starts at that shape
+        const behind = step({ x, y }, opposite(ways[0]));
+        const shape = heads.has(key(x, y)) ? null : shapeAt.get(key(behind.x, behind.y));
+        const from = shape && !shape.inside(x, y) ? shape : null;
+        visited.add(key(x, y));
+        paths.push(trace({ x, y }, ways[0], from));
+      }
+    }
+  }
+  paths.forEach(path => {
+    path.cells.forEach(({ x, y }) => consumed.add(key(x, y)));
+    path.labels.forEach(label => label.cells.forEach(({ x, y }) => consumed.add(key(x, y))));
+  });
+
+  // Text: a shape's label when the shape holds no other shape, else free
+  const ownerOf = (x, y) => shapes
+    .filter(shape => shape.inside(x, y))
+    .reduce((best, shape) => {
+      const area = (shape.right - shape.left) * (shape.bottom - shape.top);
+      return !best || area < best.area ? { shape, area } : best;
+    }, null)?.shape || null;
+  const holdsShapes = shape => shapes.some(other => other !== shape
+    && other.left > shape.left && other.right < shape.right && other.top > shape.top && other.bottom < shape.bottom);
+  const labelCells = new Map();
+  const freeCells = new Set();
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!isTextCell(x, y)) continue;
+      const owner = ownerOf(x, y);
+      if (owner && SHADES[charAt(x, y)]) {
+        // The shape's fill is the shading most of its cells have
+        owner.shades = owner.shades || {};
+        owner.shades[charAt(x, y)] = (owner.shades[charAt(x, y)] || 0) + 1;
+      } else if (owner && !holdsShapes(owner)) {
+        labelCells.set(owner, [...(labelCells.get(owner) || []), { x, y }]);
+      } else {
+        freeCells.add(key(x, y));
+      }
+    }
+  }
+  const labelText = cells => {
+    const lines = [];
+    [...new Set(cells.map(c => c.y))].sort((a, b) => a - b).forEach(y => {
+      const xs = cells.filter(c => c.y === y).map(c => c.x);
+      lines.push(rows[y].slice(Math.min(...xs), Math.max(...xs) + 1).join('').trim());
+    });
+    return lines.join('\n');
+  };
+
+  // Labels align the way the renderer would have placed them, give or take a
+  // cell of padding; text sitting anywhere else in its box stays free text
+  const alignment = (start, end, first, last, [before, middle, after]) => {
+    const leading = start - first;
+    const trailing = last - end;
+    if (Math.abs(leading - Math.floor((leading + trailing) / 2)) <= 1) return middle;
+    if (leading <= 1) return before;
+    if (trailing <= 1) return after;
+    return null;
+  };
+  labelCells.forEach((cells, shape) => {
+    const xs = cells.map(c => c.x);
+    const ys = cells.map(c => c.y);
+    const textAlign = alignment(Math.min(...xs), Math.max(...xs), shape.left + 1, shape.right - 1, ['left', 'center', 'right']);
+    const verticalAlign = alignment(Math.min(...ys), Math.max(...ys), shape.top + 1, shape.bottom - 1, ['top', 'middle', 'bottom']);
+    if (shape.type === 'rectangle' && (!textAlign || !verticalAlign)) {
+      cells.forEach(({ x, y }) => freeCells.add(key(x, y)));
+      labelCells.delete(shape);
+    } else if (shape.type === 'rectangle') {
+      shape.align = { textAlign, verticalAlign };
+    }
+  });
+
+  // Free text in runs split by two or more spaces, stacked into blocks when
+  // runs on consecutive rows start in the same column
+  const blocks = [];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!freeCells.has(key(x, y))) continue;
+      let end = x;
+      while (freeCells.has(key(end + 1, y)) || (charAt(end + 1, y) === ' ' && freeCells.has(key(end + 2, y)))) end++;
+      const line = rows[y].slice(x, end + 1).join('');
+      const block = blocks.find(b => b.left === x && b.top + b.lines.length === y);
+      if (block) block.lines.push(line);
+      else blocks.push({ left: x, top: y, lines: [line] });
+      x = end;
+    }
+  }
+
+  // Scene elements, at cell centres
+  const px = column => (column + 0.5) * cellW;
+  const py = row => (row + 0.5) * cellH;
+  const elements = [];
+  const counters = {};
+  const nextId = type => `${type}-${(counters[type] = (counters[type] || 0) + 1)}`;
+  const base = (type, x, y, w, h) => ({
+    id: nextId(type),
+    type, x, y, width: w, height: h,
+    angle: 0,
+    strokeColor: '#1e1e1e',
+    backgroundColor: 'transparent',
+    fillStyle: 'solid',
+    strokeWidth: 2,
+    strokeStyle: 'solid',
+    roughness: 1,
+    opacity: 100,
+    groupIds: [],
+    frameId: null,
+    roundness: null,
+    seed: elements.length + 1,
+    version: 1,
+    versionNonce: elements.length + 1,
+    isDeleted: false,
+    boundElements: [],
+    updated: 1,
+    link: null,
+    locked: false,
+  });
+  const textElement = (content, x, y, extra = {}) => {
+    const lines = content.split('\n');
+    return {
+      ...base('text', x, y, Math.max(...lines.map(line => [...line].length)) * cellW, lines.length * cellH),
+      text: content,
+      originalText: content,
+      fontSize: cellH / LINE_HEIGHT,
+      fontFamily: FONT_FAMILY,
+      textAlign: 'left',
+      verticalAlign: 'top',
+      containerId: null,
+      lineHeight: LINE_HEIGHT,
+      autoResize: true,
+      ...extra,
+    };
+  };
+  const boundText = (content, container, centerX, centerY, align) => {
+    const text = textElement(content, 0, 0, { textAlign: 'center', verticalAlign: 'middle', ...align, containerId: container.id });
+    text.x = centerX - text.width / 2;
+    text.y = centerY - text.height / 2;
+    container.boundElements.push({ id: text.id, type: 'text' });
+    return text;
+  };
+
+  shapes.sort((a, b) => a.top - b.top || a.left - b.left).forEach(shape => {
+    const el = {
+      ...base(shape.type, px(shape.left), py(shape.top), (shape.right - shape.left) * cellW, (shape.bottom - shape.top) * cellH),
+      strokeStyle: shape.style,
+      roundness: shape.rounded ? { type: 3 } : null,
+      ...(shape.shades ? SHADES[Object.keys(shape.shades).reduce((a, b) => (shape.shades[b] > shape.shades[a] ? b : a))] : {}),
+    };
+    shape.element = el;
+    elements.push(el);
+    if (labelCells.has(shape)) {
+      elements.push(boundText(labelText(labelCells.get(shape)), el, el.x + el.width / 2, el.y + el.height / 2, shape.align));
+    }
+  });
+
+  blocks.forEach(block => elements.push(textElement(block.lines.join('\n'), px(block.left), py(block.top))));
+
+  paths.forEach(path => {
+    const { cells, from, to } = path;
+    if (cells.length < 2 && !from && !to) return;
+    const startHead = cells.length > 1 ? heads.get(key(cells[0].x, cells[0].y)) : null;
+    const last = cells[cells.length - 1];
+    const endHead = heads.get(key(last.x, last.y)) && (cells.length > 1 || !startHead)
+      ? heads.get(key(last.x, last.y))
+      : null;
+
+    // Bound ends sit on the shape's outline, free ones on the last cell
+    const first = from ? step(cells[0], opposite(headingBetween(cells, 0))) : cells[0];
+    const end = to ? step(last, path.travel) : last;
+    const points = [first];
+    cells.forEach((cell, i) => {
+      if (i > 0 && i < cells.length - 1 && headingBetween(cells, i - 1) !== headingBetween(cells, i)) points.push(cell);
+    });
+    points.push(end);
+    const coords = points.map(p => [px(p.x), py(p.y)]);
+    const [x0, y0] = coords[0];
+    const relative = coords.map(([x, y]) => [x - x0, y - y0]);
+    const xs = relative.map(p => p[0]);
+    const ys = relative.map(p => p[1]);
+
+    const binding = shape => (shape ? { elementId: shape.element.id, focus: 0, gap: 1 } : null);
+    const type = startHead || endHead || from || to ? 'arrow' : 'line';
+    const arrow = {
+      ...base(type, x0, y0, Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys)),
+      strokeStyle: styleOf(cells),
+      roundness: null,
+      points: relative,
+      lastCommittedPoint: null,
+      startBinding: binding(from),
+      endBinding: binding(to),
+      startArrowhead: startHead ? startHead.type : null,
+      endArrowhead: endHead ? endHead.type : null,
+      elbowed: false,
+    };
+    elements.push(arrow);
+    [from, to].filter(Boolean).forEach(shape => shape.element.boundElements.push({ id: arrow.id, type }));
+
+    const label = path.labels.map(l => l.label).filter(Boolean).join(' ');
+    if (label) {
+      const labelRow = path.labels[0].cells;
+      const cx = (px(Math.min(...labelRow.map(c => c.x))) + px(Math.max(...labelRow.map(c => c.x)))) / 2;
+      elements.push(boundText(label, arrow, cx, py(labelRow[0].y)));
+    }
+  });
+
+  return {
+    type: 'excalidraw',
+    version: 2,
+    source: 'excalidraw-to-ascii',
+    elements,
+    appState: { viewBackgroundColor: '#ffffff', gridSize: null },
+    files: {},
+  };
+}
+
+// Heading from path cell i to cell i + 1; lone cells head the way they point
+function headingBetween(cells, i) {
+  const a = cells[Math.min(i, cells.length - 2)] || cells[0];
+  const b = cells[Math.min(i + 1, cells.length - 1)] || cells[0];
+  if (b.y < a.y) return 0;
+  if (b.x > a.x) return 1;
+  if (b.y > a.y) return 2;
+  return 3;
+}
@@ -2,55 +2,451 @@
  * Parses Excalidraw JSON and renders it as ASCII art.
  */
 
-export function renderASCII(data, options = {}) {
-  const { showText = true, doubleLines = false, scale = 1 } = options;
-  const elements = data.elements || [];
-  
-  if (elements.length === 0) {
-    return { ascii: '', stats: 'No elements found' };
+import {
+  UP, RIGHT, DOWN, LEFT, DOUBLE,
+  glyphMask, strokeMask, mergeMasks, resolveJunction,
+} from './boxDrawing.js';
+import { wrapText, fitLines, alignOffset, textLength } from './textLayout.js';
+import { HEADINGS, headingOf, createRouter, orthogonalPath } from './arrowRouting.js';
+import { assertCharset, charsetWeight, arrowheadGlyph, roundedCorner, toCharset } from './charsets.js';
+import { assertFormat, formatOutput } from './formats.js';
+import { arrowheadsOf, findLabels, isInsideShape, extractGraph } from './graph.js';
+import { summarizeScene } from './summary.js';
+import { FRAME_TYPES, frameName, selectElements } from './selection.js';
+import { assertHighRes, dotGrid, dotGlyph } from './subcells.js';
+import { assertColorMode, colorize, colorLegend, fillGlyph, isDefaultInk, MARKUP_MODES, parseColor, shadeInk } from './colors.js';
+
+const SHAPE_TYPES = ['rectangle', 'diamond', 'ellipse'];
+// Character cell width in scene pixels at scale 1; the height follows from
+// the cell aspect ratio
+export const CELL_WIDTH = 8;
+// Smallest shapes in cells (columns, rows), so they stay recognisable
+const MIN_SHAPE_CELLS = {
+  rectangle: [3, 2],
+  diamond: [5, 3],
+  ellipse: [5, 3],
+};
+// Stroke direction for each routing heading (up, right, down, left)
+const HEADING_STROKES = [UP, RIGHT, DOWN, LEFT];
+// Heading of the dominant axis between two pixel points
+function pixelHeading(from, to) {
+  const dx = to.x - from.x;
+  const dy = to.y - from.y;
+  if (Math.abs(dx) > Math.abs(dy)) return dx > 0 ? 1 : 3;
+  return dy > 0 ? 2 : 0;
+}
+
+// Excalidraw stacks elements in array order. Newer files also carry a
+// fractional `index` string, which sorts correctly with plain string
+// comparison; it is only trusted when every element has one.
+function sortByZIndex(elements) {
+  const indexed = elements.every(el => typeof el.index === 'string');
+  if (!indexed) return [...elements];
+  return elements
+    .map((el, position) => ({ el, position }))
+    .sort((a, b) => {
+      if (a.el.index !== b.el.index) return a.el.index < b.el.index ? -1 : 1;
+      return a.position - b.position;
+    })
+    .map(({ el }) => el);
+}
+
+// Excalidraw turns elements clockwise (y points down) about their center
+function rotatePoint(x, y, cx, cy, angle) {
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  return {
+    x: cx + (x - cx) * cos - (y - cy) * sin,
+    y: cy + (x - cx) * sin + (y - cy) * cos
+  };
+}
+
+// Shapes within this of a quarter turn are drawn square to the grid
+const SNAP_ANGLE = Math.PI / 36;
+
+// Quarter turns (0-3) nearest an angle
+function quarterTurns(angle) {
+  return ((Math.round((angle || 0) / (Math.PI / 2)) % 4) + 4) % 4;
+}
+
+function isNearQuarterTurn(angle) {
+  const quarter = Math.PI / 2;
+  return Math.abs(angle - Math.round(angle / quarter) * quarter) <= SNAP_ANGLE;
+}
+
+// Bakes rotation in where the result is still square to the grid: points of
+// lines and arrows are turned, and shapes near a quarter turn swap their
+// width and height. Other shapes and all text keep their angle.
+function straighten(el) {
+  const angle = el.angle || 0;
+  if (!angle) return el;
+  if (Array.isArray(el.points) && el.points.length > 0) {
+    const xs = el.points.map(([px]) => px);
+    const ys = el.points.map(([, py]) => py);
+    const cx = el.x + (Math.min(...xs) + Math.max(...xs)) / 2;
+    const cy = el.y + (Math.min(...ys) + Math.max(...ys)) / 2;
+    const points = el.points.map(([px, py]) => {
+      const p = rotatePoint(el.x + px, el.y + py, cx, cy, angle);
+      return [p.x - el.x, p.y - el.y];
+    });
+    return { ...el, points, angle: 0 };
   }
+  if (el.type === 'text' || !isNearQuarterTurn(angle)) return el;
+  if (quarterTurns(angle) % 2 === 0) return { ...el, angle: 0 };
+  const cx = el.x + el.width / 2;
+  const cy = el.y + el.height / 2;
+  return { ...el, x: cx - el.height / 2, y: cy - el.width / 2, width: el.height, height: el.width, angle: 0 };
+}
 
-  // Calculate bounds
-  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
-  elements.forEach(el => {
+// Pixel extent an element covers: its points, or its box turned by its angle
+function elementBounds(el) {
+  let corners;
+  if (Array.isArray(el.points) && el.points.length > 0) {
+    corners = el.points.map(([px, py]) => ({ x: el.x + px, y: el.y + py }));
+  } else {
     const x = el.x || 0;
     const y = el.y || 0;
     const w = el.width || 0;
     const h = el.height || 0;
-    minX = Math.min(minX, x);
-    minY = Math.min(minY, y);
-    maxX = Math.max(maxX, x + w);
-    maxY = Math.max(maxY, y + h);
+    corners = [[x, y], [x + w, y], [x + w, y + h], [x, y + h]]
+      .map(([px, py]) => rotatePoint(px, py, x + w / 2, y + h / 2, el.angle || 0));
+  }
+  const xs = corners.map(p => p.x);
+  const ys = corners.map(p => p.y);
+  return { minX: Math.min(...xs), minY: Math.min(...ys), maxX: Math.max(...xs), maxY: Math.max(...ys) };
+}
+
+// Whether a pixel point lies inside a shape, turned or not
+function isInsideElement(el, px, py) {
+  if (!el.angle) return isInsideShape(el, px, py);
+  const p = rotatePoint(px, py, el.x + el.width / 2, el.y + el.height / 2, -el.angle);
+  return isInsideShape(el, p.x, p.y);
+}
+
+function isFilled(el) {
+  return Boolean(el.backgroundColor) && el.backgroundColor !== 'transparent';
+}
+
+// Middle of the longest segment of a line or arrow, in cells, so a label
+// sits on a straight stretch rather than blanking out a bend
+function segmentMidpoint(cells) {
+  const length = i => Math.max(Math.abs(cells[i + 1].x - cells[i].x), Math.abs(cells[i + 1].y - cells[i].y));
+  let best = 0;
+  for (let i = 1; i < cells.length - 1; i++) {
+    if (length(i) > length(best)) best = i;
+  }
+  const [a, b] = [cells[best], cells[best + 1] ?? cells[best]];
+  return { x: Math.round((a.x + b.x) / 2), y: Math.round((a.y + b.y) / 2) };
+}
+
+// Middle cell of a route's longest straight run
+function routeMidpoint(route) {
+  const heading = i => `${route[i].x - route[i - 1].x},${route[i].y - route[i - 1].y}`;
+  let best = { start: 0, length: 1 };
+  let start = 0;
+  for (let i = 1; i < route.length; i++) {
+    if (i > 1 && heading(i) !== heading(i - 1)) start = i - 1;
+    if (i - start + 1 > best.length) best = { start, length: i - start + 1 };
+  }
+  return route[best.start + Math.floor(best.length / 2)];
+}
+
+/**
+ * Renders an Excalidraw scene (the parsed `.excalidraw` JSON) as text.
+ *
+ * @param {{ elements?: object[] }} data
+ * @param {object} [options]
+ * @param {boolean} [options.showText]
+ * @param {boolean} [options.doubleLines] Draw rectangles double whatever the charset
+ * @param {number} [options.scale] Multiplier over the character cell
+ * @param {number} [options.scaleX] Horizontal scale, overriding `scale`
+ * @param {number} [options.scaleY] Vertical scale, overriding `scale`
+ * @param {number} [options.cellAspect] Height of a character cell over its
+ *   width (default 2)
+ * @param {number} [options.width] Fit the grid into this many columns
+ * @param {number} [options.height] Fit the grid into this many rows; with
+ *   `width`, whichever is tighter wins and the X/Y ratio is kept
+ * @param {string} [options.charset] `ascii`, `light` (default), `rounded`,
+ *   `heavy` or `double`
+ * @param {string} [options.format] How `output` is wrapped: `text` (default),
+ *   `markdown`, `html`, `svg` or `json`; or `mermaid` or `dot` for the
+ *   diagram's graph instead of its ASCII
+ * @param {string} [options.title] Title for the formats that take one
+ * @param {boolean} [options.summary] Add the scene summary to `output`
+ * @param {string} [options.frame] Render only this frame (name or id) and
+ *   what is in it, cropped to the frame
+ * @param {string} [options.group] Render only the elements in this group
+ * @param {string[]} [options.ids] Render only these elements
+ * @param {{ x: number, y: number, width: number, height: number }} [options.region]
+ *   Render only this part of the canvas, in scene pixels
+ * @param {string} [options.highRes] Draw strokes in dots finer than a cell,
+ *   as `braille` (2×4 per cell) or `blocks` (2×2); text stays as characters
+ * @param {string} [options.color] Carry stroke, text and fill colors over:
+ *   `ansi` (256 colors) or `truecolor` escapes in the text format, `html`
+ *   spans in the html format, or a `legend` of what each color marks
+ * @param {boolean} [options.shading] Shade filled shapes by their fill style
+ *   (default true): `░▒▓` as dark as a solid fill, `╱` hachure, `╳` cross-hatch
+ * @returns {{ ascii: string, output: string, stats: string, summary: string, meta: object, colored?: string, legend?: string }}
+ *   `summary` outlines the containers, their nesting and their connections.
+ *   `meta` holds the element count, grid size in characters, output length,
+ *   the pixel bounds the grid covers, the blank rows trimmed off its top
+ *   and bottom, the scales and cell size used, per
+ *   element id the box of output cells the element drew into, and the graph
+ *   of shapes and bound arrows (see `extractGraph`). With a `color` mode,
+ *   `colored` holds the ASCII marked up in it (whatever the format) or
+ *   `legend` the legend.
+ */
+export function renderASCII(data, options = {}) {
+  const {
+    showText = true, doubleLines = false, scale = 1, charset = 'light', format = 'text', title,
+    cellAspect = 2, width: fitWidth, height: fitHeight, summary: withSummary = false,
+    frame, group, ids, region, highRes, color, shading = true,
+  } = options;
+  assertCharset(charset);
+  if (highRes) assertHighRes(highRes);
+  if (color) assertColorMode(color);
+  assertFormat(format);
+  const lineWeight = charsetWeight(charset);
+  const cellW = CELL_WIDTH;
+  const cellH = CELL_WIDTH * cellAspect;
+  const selection = selectElements(data.elements || [], { frame, group, ids, region });
+  const sceneElements = selection.elements;
+  const clip = selection.clip;
+  const summary = summarizeScene(sceneElements);
+  const formatOptions = { title, summary: withSummary ? summary : undefined };
+  
+  if (sceneElements.length === 0) {
+    const meta = {
+      elements: 0, columns: 0, rows: 0, chars: 0, bounds: null, trimmed: { top: 0, bottom: 0 },
+      scale: { x: options.scaleX ?? scale, y: options.scaleY ?? scale },
+      cell: { width: cellW, height: cellH },
+      boxes: {},
+      graph: extractGraph([]),
+    };
+    return {
+      ascii: '',
+      output: formatOutput('', meta, format, formatOptions),
+      stats: 'No elements found',
+      summary,
+      meta,
+      ...(MARKUP_MODES.includes(color) ? { colored: '' } : {}),
+      ...(color === 'legend' ? { legend: '' } : {}),
+    };
+  }
+
+  // Grow shapes that would come out smaller than their minimum cell size,
+  // keeping them centered
+  const straightened = sceneElements.map(straighten);
+  const grow = (scaleX, scaleY) => straightened.map(el => {
+    const minimum = MIN_SHAPE_CELLS[el.type];
+    if (!minimum) return el;
+    const minW = minimum[0] * cellW / scaleX;
+    const minH = minimum[1] * cellH / scaleY;
+    const w = Math.abs(el.width || 0);
+    const h = Math.abs(el.height || 0);
+    if (w >= minW && h >= minH) return el;
+    const width = Math.max(w, minW);
+    const height = Math.max(h, minH);
+    return {
+      ...el,
+      x: Math.min(el.x, el.x + (el.width || 0)) + (w - width) / 2,
+      y: Math.min(el.y, el.y + (el.height || 0)) + (h - height) / 2,
+      width,
+      height
+    };
   });
 
-  // Add padding
-  const padding = 20;
-  minX -= padding;
-  minY -= padding;
-  maxX += padding;
-  maxY += padding;
+  // Calculate bounds: a frame's or region's box when cropping to one, else
+  // the elements as grown, with padding except around a region, which is
+  // cropped exactly
+  const padding = region ? 0 : 20;
+  const boundsOf = els => {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    (clip ? [clip] : els).forEach(el => {
+      const bounds = elementBounds(el);
+      minX = Math.min(minX, bounds.minX);
+      minY = Math.min(minY, bounds.minY);
+      maxX = Math.max(maxX, bounds.maxX);
+      maxY = Math.max(maxY, bounds.maxY);
+    });
+    return { minX: minX - padding, minY: minY - padding, maxX: maxX + padding, maxY: maxY + padding };
+  };
+
+  // Scales, fitted to a column/row budget when one is given. Growing a
+  // shape can widen the bounds, which a fit then shrinks to again, so fit
+  // and grow until the bounds hold still.
+  let { minX, minY, maxX, maxY } = boundsOf(straightened);
+  let scaleX = options.scaleX ?? scale;
+  let scaleY = options.scaleY ?? scale;
+  let elements = straightened;
+  for (let pass = 0; pass < 4; pass++) {
+    if (fitWidth || fitHeight) {
+      const ratio = scaleY / scaleX;
+      const fitX = fitWidth ? fitWidth * cellW / (maxX - minX) : Infinity;
+      const fitY = fitHeight ? fitHeight * cellH / ((maxY - minY) * ratio) : Infinity;
+      scaleX = Math.min(fitX, fitY);
+      scaleY = scaleX * ratio;
+    }
+    elements = grow(scaleX, scaleY);
+    const grown = boundsOf(elements);
+    if (grown.minX >= minX && grown.minY >= minY && grown.maxX <= maxX && grown.maxY <= maxY) break;
+    minX = Math.min(minX, grown.minX);
+    minY = Math.min(minY, grown.minY);
+    maxX = Math.max(maxX, grown.maxX);
+    maxY = Math.max(maxY, grown.maxY);
+  }
 
-  // Grid dimensions (2 chars per unit for aspect ratio)
-  const gridW = Math.ceil((maxX - minX) * scale / 8);
-  const gridH = Math.ceil((maxY - minY) * scale / 16);
+  // Grid dimensions (the epsilon keeps an exact fit from rounding up, and
+  // a budget caps what the fitting left over, which is padding)
+  const gridW = Math.min(Math.ceil((maxX - minX) * scaleX / cellW - 1e-9), fitWidth || Infinity);
+  const gridH = Math.min(Math.ceil((maxY - minY) * scaleY / cellH - 1e-9), fitHeight || Infinity);
 
-  // Initialize grid with spaces
+  // Initialize grid with spaces. Cells covered by strokes hold a direction
+  // mask instead and are resolved to box-drawing glyphs at the end.
   const grid = Array(gridH).fill(null).map(() => Array(gridW).fill(' '));
+  const strokes = Array(gridH).fill(null).map(() => Array(gridW).fill(0));
+  const styles = Array(gridH).fill(null).map(() => Array(gridW).fill('solid'));
+  // Colors of what was drawn last in each cell, and of the fill beneath
+  const inks = Array(gridH).fill(null).map(() => Array(gridW).fill(null));
+  const fills = Array(gridH).fill(null).map(() => Array(gridW).fill(null));
+  const palette = new Map(sceneElements.map(el => {
+    const ink = parseColor(el.strokeColor);
+    return [el.id, { ink: ink && !isDefaultInk(ink) ? ink : null, fill: isFilled(el) ? parseColor(el.backgroundColor) : null }];
+  }));
+
+  // Shading of filled shapes, showing only in cells left blank
+  const shades = Array(gridH).fill(null).map(() => Array(gridW).fill(null));
+
+  // Corners of rounded rectangles and ellipses, drawn ╭╮╰╯ where they stay corners
+  const rounded = Array(gridH).fill(null).map(() => new Uint8Array(gridW));
+  // In high-res mode strokes ink dots instead, one bit per dot of a cell
+  const dotsPerCell = highRes ? dotGrid(highRes) : null;
+  const dots = Array(gridH).fill(null).map(() => new Uint8Array(gridW));
 
   function toGrid(x, y) {
     return {
-      x: Math.floor((x - minX) * scale / 8),
-      y: Math.floor((y - minY) * scale / 16)
+      x: Math.floor((x - minX) * scaleX / cellW),
+      y: Math.floor((y - minY) * scaleY / cellH)
+    };
+  }
+
+  // Center of a grid cell in scene pixels
+  function fromGrid(x, y) {
+    return {
+      x: minX + (x + 0.5) * cellW / scaleX,
+      y: minY + (y + 0.5) * cellH / scaleY
     };
   }
 
+  // Cell rows and columns spanned by a pixel box
+  function cellBox(x, y, w, h) {
+    const p = toGrid(x, y);
+    const p2 = toGrid(x + w, y + h);
+    return {
+      left: Math.min(p.x, p2.x),
+      right: Math.max(p.x, p2.x),
+      top: Math.min(p.y, p2.y),
+      bottom: Math.max(p.y, p2.y)
+    };
+  }
+
+  // Cells each element draws into, keyed by element id
+  const boxes = new Map();
+  let drawingId = null;
+  // A cell shared by strokes keeps the ink of the one drawn there first
+  function touch(x, y, merged = false) {
+    if (!merged) inks[y][x] = palette.get(drawingId)?.ink ?? null;
+    const box = boxes.get(drawingId);
+    if (!box) {
+      boxes.set(drawingId, { left: x, right: x, top: y, bottom: y });
+      return;
+    }
+    box.left = Math.min(box.left, x);
+    box.right = Math.max(box.right, x);
+    box.top = Math.min(box.top, y);
+    box.bottom = Math.max(box.bottom, y);
+  }
+
   function setChar(x, y, char) {
     if (x >= 0 && x < gridW && y >= 0 && y < gridH) {
+      touch(x, y);
       grid[y][x] = char;
+      shades[y][x] = null;
+      strokes[y][x] = 0;
+      rounded[y][x] = 0;
+      dots[y][x] = 0;
+    }
+  }
+
+  // Dashed and dotted cells stay that way only while every stroke through
+  // them agrees; anything solid crossing makes them solid
+  function setStroke(x, y, directions, weight = lineWeight, style = 'solid') {
+    if (x >= 0 && x < gridW && y >= 0 && y < gridH) {
+      const current = strokes[y][x] || glyphMask(grid[y][x]);
+      touch(x, y, Boolean(current));
+      styles[y][x] = current && styles[y][x] !== style ? 'solid' : style;
+      strokes[y][x] = mergeMasks(current, strokeMask(directions, weight));
     }
   }
 
-  function drawLine(x1, y1, x2, y2) {
+  function markRounded(x, y) {
+    if (x >= 0 && x < gridW && y >= 0 && y < gridH) rounded[y][x] = 1;
+  }
+
+  // Inks the dots along a line. Dashed lines skip every third pair of dots,
+  // dotted ones all but every third dot, counting from `phase`. Returns the
+  // phase at the line's last dot, for a line carrying on from there.
+  function plotLine(x1, y1, x2, y2, style, phase = 0) {
+    const { columns, rows } = dotsPerCell;
+    const toDot = (x, y) => ({
+      x: Math.floor((x - minX) * scaleX / cellW * columns),
+      y: Math.floor((y - minY) * scaleY / cellH * rows)
+    });
+    const p1 = toDot(x1, y1);
+    const p2 = toDot(x2, y2);
+    const dx = Math.abs(p2.x - p1.x);
+    const dy = Math.abs(p2.y - p1.y);
+    const sx = p1.x < p2.x ? 1 : -1;
+    const sy = p1.y < p2.y ? 1 : -1;
+    let err = dx - dy;
+    let x = p1.x, y = p1.y;
+    for (let step = phase; ; step++) {
+      const inked = style === 'dashed' ? step % 6 < 4 : style === 'dotted' ? step % 3 === 0 : true;
+      const cx = Math.floor(x / columns);
+      const cy = Math.floor(y / rows);
+      if (inked && cx >= 0 && cx < gridW && cy >= 0 && cy < gridH) {
+        touch(cx, cy, Boolean(dots[cy][cx]));
+        dots[cy][cx] |= 1 << ((y - cy * rows) * columns + (x - cx * columns));
+      }
+      if (x === p2.x && y === p2.y) return step;
+      const e2 = 2 * err;
+      if (e2 > -dy) { err -= dy; x += sx; }
+      if (e2 < dx) { err += dx; y += sy; }
+    }
+  }
+
+  // Inks the dots along joined segments, keeping dashes and dots in step
+  // from one segment to the next
+  function plotPolyline(points, style) {
+    points.slice(1).reduce((phase, point, i) => plotLine(points[i].x, points[i].y, point.x, point.y, style, phase), 0);
+  }
+
+  // Slants never cover strokes or text. Two different ones crossing make ╳,
+  // but not where a line ends, as at a diamond's tips.
+  function setSlant(x, y, glyph, isEnd) {
+    if (x < 0 || x >= gridW || y < 0 || y >= gridH || strokes[y][x]) return;
+    const current = grid[y][x];
+    if (current === ' ' || (!isEnd && (current === '╱' || current === '╲') && current !== glyph)) {
+      touch(x, y);
+      grid[y][x] = current === ' ' ? glyph : '╳';
+    }
+  }
+
+  function drawLine(x1, y1, x2, y2, style) {
+    if (highRes) {
+      plotLine(x1, y1, x2, y2, style);
+      return;
+    }
     const p1 = toGrid(x1, y1);
     const p2 = toGrid(x2, y2);
     
@@ -60,179 +456,681 @@ export function renderASCII(data, options = {}) {
     const sy = p1.y < p2.y ? 1 : -1;
     let err = dx - dy;
 
+    // Ends only connect inwards so they join whatever they touch
+    const isHorizontal = dy < dx;
+    const forward = isHorizontal ? (sx > 0 ? RIGHT : LEFT) : (sy > 0 ? DOWN : UP);
+    const backward = isHorizontal ? (sx > 0 ? LEFT : RIGHT) : (sy > 0 ? UP : DOWN);
+
+    const cells = [];
     let x = p1.x, y = p1.y;
     while (true) {
-      const isHorizontal = dy < dx;
-      setChar(x, y, isHorizontal ? '─' : '│');
-      
+      cells.push({ x, y });
       if (x === p2.x && y === p2.y) break;
       const e2 = 2 * err;
       if (e2 > -dy) { err -= dy; x += sx; }
       if (e2 < dx) { err += dx; y += sy; }
     }
+
+    // A cell entered by a diagonal step (the first cell: left by one) gets
+    // a slanted glyph; the rest stay strokes
+    const last = cells.length - 1;
+    let slants = 0;
+    cells.forEach((cell, i) => {
+      const isStart = i === 0;
+      const isEnd = i === last;
+      const [a, b] = i > 0 ? [cells[i - 1], cell] : [cell, cells[1] || cell];
+      if (a.x !== b.x && a.y !== b.y) {
+        // Dashed slants leave out every third cell, dotted every other
+        const gap = style === 'dashed' ? slants % 3 === 2 : style === 'dotted' && slants % 2 === 1;
+        slants++;
+        if (!gap) setSlant(cell.x, cell.y, b.x - a.x === b.y - a.y ? '╲' : '╱', isStart || isEnd);
+        return;
+      }
+      const directions = [];
+      if (!isEnd || isStart) directions.push(forward);
+      if (!isStart || isEnd) directions.push(backward);
+      setStroke(cell.x, cell.y, directions, lineWeight, style);
+    });
   }
 
-  function drawRect(x, y, w, h) {
-    const p = toGrid(x, y);
-    const p2 = toGrid(x + w, y + h);
-    const left = Math.min(p.x, p2.x);
-    const right = Math.max(p.x, p2.x);
-    const top = Math.min(p.y, p2.y);
-    const bottom = Math.max(p.y, p2.y);
-
-    const hLine = doubleLines ? '═' : '─';
-    const vLine = doubleLines ? '║' : '│';
-    const tl = doubleLines ? '╔' : '┌';
-    const tr = doubleLines ? '╗' : '┐';
-    const bl = doubleLines ? '╚' : '└';
-    const br = doubleLines ? '╝' : '┘';
+  // Outline through pixel points, closed back to the first
+  function drawPolygon(points, style) {
+    points.forEach((p, i) => {
+      const next = points[(i + 1) % points.length];
+      drawLine(p.x, p.y, next.x, next.y, style);
+    });
+  }
+
+  // Points of a box's outline turned about its center
+  function turned(points, x, y, w, h, angle) {
+    return points.map(([px, py]) => rotatePoint(px, py, x + w / 2, y + h / 2, angle));
+  }
+
+  function drawRect(x, y, w, h, style, angle = 0, isRounded = false) {
+    if (angle || highRes) {
+      drawPolygon(turned([[x, y], [x + w, y], [x + w, y + h], [x, y + h]], x, y, w, h, angle), style);
+      return;
+    }
+    const { left, right, top, bottom } = cellBox(x, y, w, h);
+
+    const weight = doubleLines ? DOUBLE : lineWeight;
 
     // Top and bottom
     for (let i = left + 1; i < right; i++) {
-      setChar(i, top, hLine);
-      setChar(i, bottom, hLine);
+      setStroke(i, top, [LEFT, RIGHT], weight, style);
+      setStroke(i, bottom, [LEFT, RIGHT], weight, style);
     }
     // Left and right
     for (let i = top + 1; i < bottom; i++) {
-      setChar(left, i, vLine);
-      setChar(right, i, vLine);
+      setStroke(left, i, [UP, DOWN], weight, style);
+      setStroke(right, i, [UP, DOWN], weight, style);
     }
     // Corners
-    setChar(left, top, tl);
-    setChar(right, top, tr);
-    setChar(left, bottom, bl);
-    setChar(right, bottom, br);
+    setStroke(left, top, [RIGHT, DOWN], weight, style);
+    setStroke(right, top, [LEFT, DOWN], weight, style);
+    setStroke(left, bottom, [RIGHT, UP], weight, style);
+    setStroke(right, bottom, [LEFT, UP], weight, style);
+    if (isRounded) {
+      [[left, top], [right, top], [left, bottom], [right, bottom]].forEach(([cx, cy]) => markRounded(cx, cy));
+    }
   }
 
-  function drawDiamond(x, y, w, h) {
+  // A frame is a box with its name set into the top border: ┌─ Name ───┐
+  function drawFrame(el) {
+    drawRect(el.x, el.y, el.width, el.height, 'solid');
+    if (!showText) return;
+    const { left, right, top } = cellBox(el.x, el.y, el.width, el.height);
+    const [name] = fitLines([frameName(el)], right - left - 5, 1);
+    if (!name) return;
+    [...` ${name} `].forEach((char, i) => setChar(left + 2 + i, top, char));
+  }
+
+  function drawDiamond(x, y, w, h, style, angle = 0) {
     const cx = x + w / 2;
     const cy = y + h / 2;
-    const pTop = toGrid(cx, y);
-    const pBottom = toGrid(cx, y + h);
-    const pLeft = toGrid(x, cy);
-    const pRight = toGrid(x + w, cy);
-
-    drawLine(x, cy, cx, y);
-    drawLine(cx, y, x + w, cy);
-    drawLine(x + w, cy, cx, y + h);
-    drawLine(cx, y + h, x, cy);
-
-    // Fix corners
-    setChar(pTop.x, pTop.y, '╷');
-    setChar(pBottom.x, pBottom.y, '╵');
-    setChar(pLeft.x, pLeft.y, '╶');
-    setChar(pRight.x, pRight.y, '╴');
+    if (angle || highRes) {
+      drawPolygon(turned([[cx, y], [x + w, cy], [cx, y + h], [x, cy]], x, y, w, h, angle), style);
+      return;
+    }
+    // Each side is drawn from the left or right corner toward the top or
+    // bottom one, so its slants sit at the outer end of every step
+    drawLine(x, cy, cx, y, style);
+    drawLine(x + w, cy, cx, y, style);
+    drawLine(x, cy, cx, y + h, style);
+    drawLine(x + w, cy, cx, y + h, style);
   }
 
-  function drawEllipse(x, y, w, h) {
+  function drawEllipse(x, y, w, h, style, angle = 0) {
     const cx = x + w / 2;
     const cy = y + h / 2;
     const rx = w / 2;
     const ry = h / 2;
 
     const steps = Math.max(16, Math.floor((w + h) / 10));
-    let prevP = null;
-    
-    for (let i = 0; i <= steps; i++) {
-      const angle = (i / steps) * Math.PI * 2;
-      const px = cx + rx * Math.cos(angle);
-      const py = cy + ry * Math.sin(angle);
-      const p = toGrid(px, py);
-      
-      if (prevP) {
-        const dx = p.x - prevP.x;
-        const dy = p.y - prevP.y;
-        if (Math.abs(dx) > Math.abs(dy)) {
-          setChar(p.x, p.y, '─');
-        } else {
-          setChar(p.x, p.y, '│');
+    const pointAt = i => {
+      const t = (i / steps) * Math.PI * 2;
+      return rotatePoint(cx + rx * Math.cos(t), cy + ry * Math.sin(t), cx, cy, angle);
+    };
+    if (highRes) {
+      plotPolyline(Array.from({ length: steps + 1 }, (_, i) => pointAt(i)), style);
+      return;
+    }
+
+    // Walk the outline cell by cell, through edge neighbours only, so it
+    // closes into one unbroken loop. A diagonal step goes by way of
+    // whichever of the two cells lies nearer the curve.
+    const offCurve = cell => {
+      const centre = rotatePoint(
+        minX + (cell.x + 0.5) * cellW / scaleX,
+        minY + (cell.y + 0.5) * cellH / scaleY,
+        cx, cy, -angle
+      );
+      return Math.abs(((centre.x - cx) / rx) ** 2 + ((centre.y - cy) / ry) ** 2 - 1);
+    };
+    const samples = Math.max(steps, Math.ceil((w * scaleX + h * scaleY) / Math.min(cellW, cellH) * 4));
+    const same = (a, b) => a.x === b.x && a.y === b.y;
+    const loop = [];
+    const walkTo = p => {
+      const prev = loop[loop.length - 1];
+      if (prev && same(p, prev)) return;
+      if (prev && p.x !== prev.x && p.y !== prev.y) {
+        const across = { x: p.x, y: prev.y };
+        const down = { x: prev.x, y: p.y };
+        loop.push(offCurve(across) <= offCurve(down) ? across : down);
+      }
+      loop.push(p);
+    };
+    for (let i = 0; i < samples; i++) {
+      const point = pointAt(i * steps / samples);
+      walkTo(toGrid(point.x, point.y));
+    }
+    // Back round to the first cell. A curve's extreme can poke one cell out
+    // and straight back; such spurs are dropped.
+    walkTo(loop[0]);
+    if (loop.length > 1 && same(loop[0], loop[loop.length - 1])) loop.pop();
+    for (let i = 0; loop.length > 4 && i < loop.length;) {
+      const prev = loop[(i + loop.length - 1) % loop.length];
+      const next = loop[(i + 1) % loop.length];
+      if (same(prev, next)) {
+        loop.splice(i, 1);
+        loop.splice(i % loop.length, 1);
+        i = Math.max(0, i - 1);
+      } else {
+        i++;
+      }
+    }
+
+    const towards = (from, to) => (to.x > from.x ? RIGHT : to.x < from.x ? LEFT : to.y > from.y ? DOWN : UP);
+    loop.forEach((cell, i) => {
+      const prev = loop[(i + loop.length - 1) % loop.length];
+      const next = loop[(i + 1) % loop.length];
+      const directions = [towards(cell, prev), towards(cell, next)];
+      setStroke(cell.x, cell.y, directions, lineWeight, style);
+      if (directions.some(d => d === UP || d === DOWN) && directions.some(d => d === LEFT || d === RIGHT)) {
+        markRounded(cell.x, cell.y);
+      }
+    });
+  }
+
+  // Keeps shading a cell clear of text
+  function unshade(x, y) {
+    if (x >= 0 && x < gridW && y >= 0 && y < gridH) shades[y][x] = null;
+  }
+
+  // Writes lines into a cell area, aligned the way Excalidraw aligns them
+  function drawTextBlock(lines, area, textAlign, verticalAlign) {
+    const top = area.top + alignOffset(lines.length, area.height, verticalAlign);
+    lines.forEach((line, row) => {
+      const left = area.left + alignOffset(textLength(line), area.width, textAlign);
+      [...line].forEach((char, i) => setChar(left + i, top + row, char));
+      unshade(left - 1, top + row);
+      unshade(left + textLength(line), top + row);
+    });
+  }
+
+  // Turned text reads top to bottom, one character per row, its lines side
+  // by side from whichever side its top faces. Lines align along the column
+  // the way textAlign aligns them along a row.
+  function drawVerticalBlock(lines, area, textAlign, topFacesRight) {
+    const left = area.left + alignOffset(lines.length, area.width, 'center');
+    lines.forEach((line, i) => {
+      const x = topFacesRight ? left + lines.length - 1 - i : left + i;
+      const top = area.top + alignOffset(textLength(line), area.height, textAlign);
+      [...line].forEach((char, row) => setChar(x, top + row, char));
+      unshade(x, top - 1);
+      unshade(x, top + textLength(line));
+    });
+  }
+
+  // Text snaps to the nearest quarter turn; upside down reads as upright
+  function drawText(el) {
+    if (!showText || !el.text) return;
+    const lines = wrapText(el.text);
+    const turns = quarterTurns(el.angle);
+    if (turns % 2 === 1) {
+      const center = toGrid(el.x + (el.width || 0) / 2, el.y + (el.height || 0) / 2);
+      const rows = Math.max(...lines.map(textLength));
+      const area = {
+        left: center.x - Math.floor(lines.length / 2),
+        top: center.y - Math.floor(rows / 2),
+        width: lines.length,
+        height: rows
+      };
+      drawVerticalBlock(lines, area, el.textAlign, turns === 1);
+      return;
+    }
+    const p = toGrid(el.x, el.y);
+    const width = el.width ? toGrid(el.x + el.width, el.y).x - p.x : 0;
+    drawTextBlock(lines, { left: p.x, top: p.y, width, height: lines.length }, el.textAlign, 'top');
+  }
+
+  // Whole cells inside a container: its inscribed box, trimmed edge by edge
+  // until no cell reaches the outline
+  function labelArea(el) {
+    const inset = el.type === 'diamond' ? 0.25 : el.type === 'ellipse' ? (1 - Math.SQRT1_2) / 2 : 0;
+    const area = cellBox(
+      el.x + el.width * inset,
+      el.y + el.height * inset,
+      el.width * (1 - 2 * inset),
+      el.height * (1 - 2 * inset)
+    );
+    // A rectangle's outline takes its outer cells whenever there is room
+    // inside, even where the edge falls at the very start of a cell
+    if (el.type === 'rectangle' && area.right - area.left >= 2 && area.bottom - area.top >= 2) {
+      area.left++;
+      area.right--;
+      area.top++;
+      area.bottom--;
+    }
+    const cellInside = (x, y) => [[0, 0], [1, 0], [0, 1], [1, 1]].every(([ox, oy]) => (
+      isInsideElement(el, minX + (x + ox) * cellW / scaleX, minY + (y + oy) * cellH / scaleY)
+    ));
+    const outsideCount = {
+      left: () => countOutside(area.left, area.left, area.top, area.bottom),
+      right: () => countOutside(area.right, area.right, area.top, area.bottom),
+      top: () => countOutside(area.left, area.right, area.top, area.top),
+      bottom: () => countOutside(area.left, area.right, area.bottom, area.bottom)
+    };
+    function countOutside(x1, x2, y1, y2) {
+      let count = 0;
+      for (let y = y1; y <= y2; y++) {
+        for (let x = x1; x <= x2; x++) {
+          if (!cellInside(x, y)) count++;
         }
       }
-      prevP = p;
+      return count;
+    }
+
+    // Trim the side with the most cells outside. A last row or column is only
+    // trimmed when nothing else can go, so a single row with stray corner
+    // cells loses those columns rather than the row.
+    while (area.left <= area.right && area.top <= area.bottom) {
+      const lastRow = area.top === area.bottom;
+      const lastColumn = area.left === area.right;
+      const counts = Object.entries(outsideCount).map(([side, count]) => [side, count()]);
+      const trimmable = counts.filter(([side, count]) => count > 0 && !(
+        (lastRow && (side === 'top' || side === 'bottom')) || (lastColumn && (side === 'left' || side === 'right'))
+      ));
+      const [side, worst] = (trimmable.length > 0 ? trimmable : counts).reduce((a, b) => (b[1] > a[1] ? b : a));
+      if (worst === 0) break;
+      if (side === 'left') area.left++;
+      else if (side === 'right') area.right--;
+      else if (side === 'top') area.top++;
+      else area.bottom--;
     }
+
+    return {
+      left: area.left,
+      top: area.top,
+      width: area.right - area.left + 1,
+      height: area.bottom - area.top + 1
+    };
   }
 
-  function drawText(x, y, text) {
+  // Draws a container's bound text: wrapped and clipped to the inside of a
+  // shape, or centered on the middle of a line with a gap around it
+  function drawLabel(container, label) {
+    const text = label.originalText ?? label.text;
     if (!showText || !text) return;
-    const p = toGrid(x, y);
-    const chars = text.split('');
-    for (let i = 0; i < chars.length; i++) {
-      setChar(p.x + i, p.y, chars[i]);
+
+    if (container.type === 'arrow' || container.type === 'line') {
+      const lines = wrapText(text);
+      const width = Math.max(...lines.map(textLength));
+      const route = routes.get(container.id);
+      const points = container.points?.length ? container.points : [[0, 0]];
+      const mid = route
+        ? routeMidpoint(route)
+        : segmentMidpoint(points.map(([px, py]) => toGrid(container.x + px, container.y + py)));
+      const area = {
+        left: mid.x - Math.floor(width / 2),
+        top: mid.y - Math.floor(lines.length / 2),
+        width,
+        height: lines.length
+      };
+      for (let y = area.top; y < area.top + area.height; y++) {
+        for (let x = area.left - 1; x <= area.left + width; x++) setChar(x, y, ' ');
+      }
+      drawTextBlock(lines, area, 'center', 'top');
+      return;
+    }
+
+    const area = labelArea(container);
+    if (area.width <= 0 || area.height <= 0) return;
+    const turns = quarterTurns(label.angle);
+    if (turns % 2 === 1) {
+      const lines = fitLines(wrapText(text, area.height), area.height, area.width);
+      drawVerticalBlock(lines, area, label.textAlign ?? 'center', turns === 1);
+      return;
+    }
+    const lines = fitLines(wrapText(text, area.width), area.width, area.height);
+    drawTextBlock(lines, area, label.textAlign ?? 'center', label.verticalAlign ?? 'middle');
+  }
+
+  // Blank out everything a filled shape covers so it hides what lies behind,
+  // shading it unless asked not to
+  function occlude(el) {
+    const { fill } = palette.get(el.id);
+    // Colors that don't parse shade as a middle gray
+    const shade = shading ? fillGlyph(el.fillStyle, fill || [128, 128, 128]) : null;
+    const bounds = elementBounds(el);
+    const { left, right, top, bottom } = cellBox(bounds.minX, bounds.minY, bounds.maxX - bounds.minX, bounds.maxY - bounds.minY);
+    for (let y = top; y <= bottom; y++) {
+      for (let x = left; x <= right; x++) {
+        const c = fromGrid(x, y);
+        if ((el.type === 'rectangle' && !el.angle) || isInsideElement(el, c.x, c.y)) {
+          setChar(x, y, ' ');
+          if (x >= 0 && x < gridW && y >= 0 && y < gridH) {
+            fills[y][x] = fill;
+            shades[y][x] = shade;
+            if (shade && fill) inks[y][x] = shadeInk(fill);
+          }
+        }
+      }
+    }
+  }
+
+  // Text bound to a container is drawn right after it, not on its own
+  const elementsById = new Map(elements.map(el => [el.id, el]));
+  const labels = findLabels(elements);
+  const labelIds = new Set([...labels.values()].map(label => label.id));
+
+  // Where an arrow meets a bound shape: the border cell it leaves or enters
+  // through, the cell just outside it, and the heading pointing away. The
+  // side is the one nearest the arrow's own endpoint; rectangles attach level
+  // with that point, other shapes at the tip of the side. A turned shape's
+  // port is found as if it were square and turned with it, heading and all.
+  function portFor(shape, point) {
+    const cx = shape.x + shape.width / 2;
+    const cy = shape.y + shape.height / 2;
+    const local = shape.angle ? rotatePoint(point.x, point.y, cx, cy, -shape.angle) : point;
+    const x1 = Math.min(shape.x, shape.x + shape.width);
+    const x2 = Math.max(shape.x, shape.x + shape.width);
+    const y1 = Math.min(shape.y, shape.y + shape.height);
+    const y2 = Math.max(shape.y, shape.y + shape.height);
+    const distances = [local.y - y1, x2 - local.x, y2 - local.y, local.x - x1].map(Math.abs);
+    const side = distances.indexOf(Math.min(...distances));
+    const clamp = (v, lo, hi) => Math.max(lo, Math.min(Math.max(lo, hi), v));
+
+    if (shape.angle) {
+      const along = side % 2 === 0
+        ? (shape.type === 'rectangle' ? clamp(local.x, x1, x2) : cx)
+        : (shape.type === 'rectangle' ? clamp(local.y, y1, y2) : cy);
+      const [px, py] = [[along, y1], [x2, along], [along, y2], [x1, along]][side];
+      const turned = rotatePoint(px, py, cx, cy, shape.angle);
+      const cell = toGrid(turned.x, turned.y);
+      const heading = (side + quarterTurns(shape.angle)) % 4;
+      const { dx, dy } = HEADINGS[heading];
+      return { cell, outside: { x: cell.x + dx, y: cell.y + dy }, heading };
+    }
+
+    const box = cellBox(shape.x, shape.y, shape.width, shape.height);
+    const center = toGrid(cx, cy);
+    const at = toGrid(point.x, point.y);
+    const along = side % 2 === 0
+      ? (shape.type === 'rectangle' ? clamp(at.x, box.left + 1, box.right - 1) : center.x)
+      : (shape.type === 'rectangle' ? clamp(at.y, box.top + 1, box.bottom - 1) : center.y);
+    const cell = [
+      { x: along, y: box.top },
+      { x: box.right, y: along },
+      { x: along, y: box.bottom },
+      { x: box.left, y: along }
+    ][side];
+    const { dx, dy } = HEADINGS[side];
+    return { cell, outside: { x: cell.x + dx, y: cell.y + dy }, heading: side };
+  }
+
+  const shapeBoxes = elements
+    .filter(el => SHAPE_TYPES.includes(el.type))
+    .map(el => {
+      const bounds = elementBounds(el);
+      return cellBox(bounds.minX, bounds.minY, bounds.maxX - bounds.minX, bounds.maxY - bounds.minY);
+    });
+  const boxContains = (box, cell) => (
+    cell.x >= box.left && cell.x <= box.right && cell.y >= box.top && cell.y <= box.bottom
+  );
+  // How many shapes cover each cell, and one router for every arrow, made
+  // on the first routed arrow
+  let covering = null;
+  let router = null;
+  function routing() {
+    if (!router) {
+      covering = new Uint16Array(gridW * gridH);
+      shapeBoxes.forEach(box => {
+        for (let y = Math.max(0, box.top); y <= Math.min(gridH - 1, box.bottom); y++) {
+          for (let x = Math.max(0, box.left); x <= Math.min(gridW - 1, box.right); x++) covering[y * gridW + x]++;
+        }
+      });
+      router = createRouter(gridW, gridH);
     }
+    return router;
   }
 
-  // Sort elements by z-index (seed)
-  const sortedElements = [...elements].sort((a, b) => (a.seed || 0) - (b.seed || 0));
+  // Cell path for an arrow bound to shapes or drawn as an elbow arrow, with
+  // the cells and headings of its two heads, or null for free arrows, which
+  // keep their drawn points
+  function routeArrow(el) {
+    const points = (el.points || []).map(([px, py]) => ({ x: el.x + px, y: el.y + py }));
+    if (points.length < 2) return null;
+    const startShape = el.startBinding && elementsById.get(el.startBinding.elementId);
+    const endShape = el.endBinding && elementsById.get(el.endBinding.elementId);
+    if (!startShape && !endShape) {
+      if (!el.elbowed) return null;
+      const path = orthogonalPath(points.map(p => toGrid(p.x, p.y)));
+      return { path, heads: pathHeads(path, false, pixelHeading(points[0], points[points.length - 1])) };
+    }
+
+    const first = points[0];
+    const last = points[points.length - 1];
+    const startPort = startShape && portFor(startShape, first);
+    const endPort = endShape && portFor(endShape, last);
+    const start = startPort ? startPort.outside : toGrid(first.x, first.y);
+    const end = endPort ? endPort.outside : toGrid(last.x, last.y);
+
+    // Steer around every shape except those enclosing the arrow's ends,
+    // such as a panel both boxes sit on
+    const route = routing();
+    const enclosing = shapeBoxes.filter(box => boxContains(box, start) || boxContains(box, end));
+    const isBlocked = (x, y) => {
+      if (x < 0 || x >= gridW || y < 0 || y >= gridH) return false;
+      let count = covering[y * gridW + x];
+      for (let i = 0; count > 0 && i < enclosing.length; i++) {
+        if (boxContains(enclosing[i], { x, y })) count--;
+      }
+      return count > 0;
+    };
+    const ends = {
+      start,
+      end,
+      startHeading: startPort ? startPort.heading : undefined,
+      endHeading: endPort ? (endPort.heading + 2) % 4 : undefined
+    };
+    const path = route({ ...ends, isBlocked })
+      || route(ends)
+      || orthogonalPath([start, end]);
+    const fullPath = startPort ? [startPort.cell, ...path] : path;
+    return {
+      path: fullPath,
+      heads: pathHeads(fullPath, Boolean(startPort), ends.endHeading ?? pixelHeading(first, last))
+    };
+  }
+
+  // Head cells and headings at both ends of a path. A path that starts on a
+  // shape border carries its start head one cell out, like the end head.
+  function pathHeads(path, startsOnBorder, fallback) {
+    const last = path.length - 1;
+    const startIndex = startsOnBorder && last > 0 ? 1 : 0;
+    return {
+      start: {
+        cell: path[startIndex],
+        heading: last > 0 ? headingOf(path[1], path[0]) : (fallback + 2) % 4
+      },
+      end: {
+        cell: path[last],
+        heading: last > 0 ? headingOf(path[last - 1], path[last]) : fallback
+      }
+    };
+  }
+
+  // A head landing on a stroke drawn before its line steps one cell back
+  // along the line, leaving the other stroke whole; the line still meets
+  // it there. Call before drawing the line.
+  function clearHeads(heads) {
+    const held = ({ x, y }) => x >= 0 && x < gridW && y >= 0 && y < gridH
+      && Boolean(strokes[y][x] || glyphMask(grid[y][x]) || dots[y][x]);
+    const back = ({ cell, heading }) => ({
+      cell: { x: cell.x - HEADINGS[heading].dx, y: cell.y - HEADINGS[heading].dy },
+      heading
+    });
+    const clear = (head, other) => {
+      if (!held(head.cell)) return head;
+      const stepped = back(head);
+      return stepped.cell.x === other.cell.x && stepped.cell.y === other.cell.y ? head : stepped;
+    };
+    const start = clear(heads.start, heads.end);
+    return { start, end: clear(heads.end, start) };
+  }
+
+  function drawArrowheads(el, heads) {
+    const types = arrowheadsOf(el);
+    ['start', 'end'].forEach(end => {
+      if (!types[end]) return;
+      const { cell, heading } = heads[end];
+      if (types[end] === 'bar') {
+        // A bar across the line's end is drawn as a junction
+        const bar = [heading + 1, heading + 2, heading + 3].map(h => HEADING_STROKES[h % 4]);
+        setChar(cell.x, cell.y, resolveJunction(strokeMask(bar, lineWeight)));
+      } else {
+        setChar(cell.x, cell.y, arrowheadGlyph(types[end], heading, charset));
+      }
+    });
+  }
+
+  function drawPath(path, style) {
+    if (highRes) {
+      // Through the centers of the path's cells
+      plotPolyline(path.map(cell => fromGrid(cell.x, cell.y)), style);
+      return;
+    }
+    path.forEach((cell, i) => {
+      const directions = [];
+      if (i > 0) directions.push(HEADING_STROKES[headingOf(cell, path[i - 1])]);
+      if (i < path.length - 1) directions.push(HEADING_STROKES[headingOf(cell, path[i + 1])]);
+      setStroke(cell.x, cell.y, directions, lineWeight, style);
+    });
+  }
+
+  const routes = new Map();
+
+  const sortedElements = sortByZIndex(elements);
 
   // Draw elements
   sortedElements.forEach(el => {
     const type = el.type;
+    const route = type === 'arrow' ? routeArrow(el) : null;
+    drawingId = el.id;
+
+    if (isFilled(el) && SHAPE_TYPES.includes(type)) {
+      occlude(el);
+    }
     
     if (type === 'rectangle') {
-      drawRect(el.x, el.y, el.width, el.height);
-      if (el.boundElements) {
-        el.boundElements.forEach(be => {
-          const textEl = elements.find(e => e.id === be.id);
-          if (textEl && textEl.type === 'text') {
-            drawText(textEl.x, textEl.y, textEl.text);
-          }
-        });
-      }
+      drawRect(el.x, el.y, el.width, el.height, el.strokeStyle, el.angle, Boolean(el.roundness));
     } else if (type === 'diamond') {
-      drawDiamond(el.x, el.y, el.width, el.height);
+      drawDiamond(el.x, el.y, el.width, el.height, el.strokeStyle, el.angle);
     } else if (type === 'ellipse') {
-      drawEllipse(el.x, el.y, el.width, el.height);
-    } else if (type === 'line' || type === 'arrow') {
-      const points = el.points || [];
+      drawEllipse(el.x, el.y, el.width, el.height, el.strokeStyle, el.angle);
+    } else if (FRAME_TYPES.includes(type)) {
+      drawFrame(el);
+    } else if (route) {
+      routes.set(el.id, route.path);
+      const heads = clearHeads(route.heads);
+      drawPath(route.path, el.strokeStyle);
+      drawArrowheads(el, heads);
+    } else if (type === 'line' || type === 'arrow' || type === 'freedraw') {
+      const points = (el.points || []).map(([px, py]) => ({ x: el.x + px, y: el.y + py }));
+      const first = points[0];
+      const last = points[points.length - 1];
+      const heads = points.length >= 2 ? clearHeads({
+        start: { cell: toGrid(first.x, first.y), heading: pixelHeading(points[1], first) },
+        end: { cell: toGrid(last.x, last.y), heading: pixelHeading(points[points.length - 2], last) }
+      }) : null;
       for (let i = 0; i < points.length - 1; i++) {
-        drawLine(
-          el.x + points[i][0],
-          el.y + points[i][1],
-          el.x + points[i + 1][0],
-          el.y + points[i + 1][1]
-        );
-      }
-      // Arrow head
-      if (type === 'arrow' && points.length >= 2) {
-        const last = points[points.length - 1];
-        const prev = points[points.length - 2];
-        const ax = el.x + last[0];
-        const ay = el.y + last[1];
-        const p = toGrid(ax, ay);
-        
-        // Simple arrow direction
-        const dx = last[0] - prev[0];
-        const dy = last[1] - prev[1];
-        if (Math.abs(dx) > Math.abs(dy)) {
-          setChar(p.x, p.y, dx > 0 ? '>' : '<');
-        } else {
-          setChar(p.x, p.y, dy > 0 ? 'v' : '^');
-        }
+        drawLine(points[i].x, points[i].y, points[i + 1].x, points[i + 1].y, el.strokeStyle);
       }
-    } else if (type === 'text' && !el.containerId) {
-      drawText(el.x, el.y, el.text);
+      if (heads) drawArrowheads(el, heads);
+    } else if (type === 'text' && !labelIds.has(el.id)) {
+      drawText(el);
+    }
+
+    if (labels.has(el.id)) {
+      drawingId = labels.get(el.id).id;
+      drawLabel(el, labels.get(el.id));
     }
   });
 
+  // What each color marks: every drawn element by its label, text or frame
+  // name. A label colored apart from its container counts as text.
+  function legendEntries() {
+    const oneLine = text => (text || '').replace(/\s+/g, ' ').trim();
+    return sortedElements.filter(el => boxes.has(el.id) && !labelIds.has(el.id)).flatMap(el => {
+      const { ink, fill } = palette.get(el.id);
+      const label = labels.get(el.id);
+      const labelInk = label ? palette.get(label.id).ink : null;
+      const name = oneLine(label ? label.text : el.type === 'text' ? el.text : FRAME_TYPES.includes(el.type) ? frameName(el) : '');
+      return [
+        ...(ink ? [{ color: ink, fill: false, name, type: el.type }] : []),
+        ...(fill ? [{ color: fill, fill: true, name, type: el.type }] : []),
+        ...(labelInk && String(labelInk) !== String(ink) ? [{ color: labelInk, fill: false, name, type: 'text' }] : []),
+      ];
+    });
+  }
+
+  const stroked = (x, y) => {
+    const glyph = resolveJunction(strokes[y][x], styles[y][x]);
+    return rounded[y][x] ? roundedCorner(glyph) : glyph;
+  };
+
   // Convert to string
-  const lines = grid.map(row => row.join('').replace(/\s+$/, ''));
+  const lines = grid.map((row, y) => row
+    .map((char, x) => (dots[y][x] ? dotGlyph(dots[y][x], highRes, charset) : toCharset(
+      strokes[y][x] ? stroked(x, y) : (char === ' ' && shades[y][x]) || char,
+      charset,
+      x
+    )))
+    .join('')
+    .replace(/\s+$/, ''));
   // Remove empty lines at start/end
-  while (lines.length > 0 && lines[0].trim() === '') lines.shift();
+  let removedRows = 0;
+  while (lines.length > 0 && lines[0].trim() === '') {
+    lines.shift();
+    removedRows++;
+  }
   while (lines.length > 0 && lines[lines.length - 1].trim() === '') lines.pop();
+  const trimmed = { top: removedRows, bottom: gridH - removedRows - lines.length };
   
   const ascii = lines.join('\n');
+  const colored = MARKUP_MODES.includes(color)
+    ? colorize(lines, (x, y) => ({ ink: inks[y + removedRows][x], fill: fills[y + removedRows][x] }), color)
+    : undefined;
+  const legend = color === 'legend' ? colorLegend(legendEntries()) : undefined;
   const stats = `${elements.length} elements · ${gridW}×${gridH} grid · ${(ascii || '').length} chars`;
+
+  // Element boxes in output coordinates
+  const elementTypes = new Map(elements.map(el => [el.id, el.type]));
+  const outputBoxes = {};
+  boxes.forEach((box, id) => {
+    const top = Math.max(0, box.top - removedRows);
+    const bottom = Math.min(lines.length - 1, box.bottom - removedRows);
+    if (bottom < top) return;
+    outputBoxes[id] = {
+      type: elementTypes.get(id),
+      x: box.left,
+      y: top,
+      width: box.right - box.left + 1,
+      height: bottom - top + 1
+    };
+  });
+
+  const meta = {
+    elements: elements.length,
+    columns: gridW,
+    rows: gridH,
+    chars: ascii.length,
+    bounds: { minX, minY, maxX, maxY },
+    trimmed,
+    scale: { x: scaleX, y: scaleY },
+    cell: { width: cellW, height: cellH },
+    boxes: outputBoxes,
+    graph: extractGraph(sceneElements),
+  };
   
   return { 
     ascii: ascii || '(empty result)', 
-    stats 
+    output: formatOutput(ascii, meta, format, { ...formatOptions, color, colored, legend }),
+    stats,
+    summary,
+    meta,
+    ...(colored !== undefined ? { colored } : {}),
+    ...(legend !== undefined ? { legend } : {}),
   };
 }
-
-export function validateFile(file) {
-  if (!file) return 'No file selected';
-  if (!file.name.endsWith('.excalidraw') && !file.name.endsWith('.json')) {
-    return 'Please select an .excalidraw or .json file';
-  }
-  return null;
-}
\ No newline at end of file
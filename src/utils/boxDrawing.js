@@ -0,0 +1,144 @@
+/**
+ * Box-drawing junctions.
+ *
+ * A stroke cell is stored as a bit mask: two bits per direction holding the
+ * weight of the stroke leaving the cell that way (0 none, 1 light, 2 heavy,
+ * 3 double). Masks from overlapping strokes are merged and only resolved to
+ * a glyph when the grid is turned into text.
+ */
+
+export const UP = 0;
+export const RIGHT = 2;
+export const DOWN = 4;
+export const LEFT = 6;
+
+export const NONE = 0;
+export const LIGHT = 1;
+export const HEAVY = 2;
+export const DOUBLE = 3;
+
+const WEIGHT_CODES = { '0': NONE, L: LIGHT, H: HEAVY, D: DOUBLE };
+
+// Each glyph with its up/right/down/left weights
+const GLYPHS = {
+  '─': '0L0L', '━': '0H0H', '│': 'L0L0', '┃': 'H0H0',
+  '┌': '0LL0', '┍': '0HL0', '┎': '0LH0', '┏': '0HH0',
+  '┐': '00LL', '┑': '00LH', '┒': '00HL', '┓': '00HH',
+  '└': 'LL00', '┕': 'LH00', '┖': 'HL00', '┗': 'HH00',
+  '┘': 'L00L', '┙': 'L00H', '┚': 'H00L', '┛': 'H00H',
+  '├': 'LLL0', '┝': 'LHL0', '┞': 'HLL0', '┟': 'LLH0',
+  '┠': 'HLH0', '┡': 'HHL0', '┢': 'LHH0', '┣': 'HHH0',
+  '┤': 'L0LL', '┥': 'L0LH', '┦': 'H0LL', '┧': 'L0HL',
+  '┨': 'H0HL', '┩': 'H0LH', '┪': 'L0HH', '┫': 'H0HH',
+  '┬': '0LLL', '┭': '0LLH', '┮': '0HLL', '┯': '0HLH',
+  '┰': '0LHL', '┱': '0LHH', '┲': '0HHL', '┳': '0HHH',
+  '┴': 'LL0L', '┵': 'LL0H', '┶': 'LH0L', '┷': 'LH0H',
+  '┸': 'HL0L', '┹': 'HL0H', '┺': 'HH0L', '┻': 'HH0H',
+  '┼': 'LLLL', '┽': 'LLLH', '┾': 'LHLL', '┿': 'LHLH',
+  '╀': 'HLLL', '╁': 'LLHL', '╂': 'HLHL', '╃': 'HLLH',
+  '╄': 'HHLL', '╅': 'LLHH', '╆': 'LHHL', '╇': 'HHLH',
+  '╈': 'LHHH', '╉': 'HLHH', '╊': 'HHHL', '╋': 'HHHH',
+  '═': '0D0D', '║': 'D0D0',
+  '╒': '0DL0', '╓': '0LD0', '╔': '0DD0',
+  '╕': '00LD', '╖': '00DL', '╗': '00DD',
+  '╘': 'LD00', '╙': 'DL00', '╚': 'DD00',
+  '╛': 'L00D', '╜': 'D00L', '╝': 'D00D',
+  '╞': 'LDL0', '╟': 'DLD0', '╠': 'DDD0',
+  '╡': 'L0LD', '╢': 'D0DL', '╣': 'D0DD',
+  '╤': '0DLD', '╥': '0LDL', '╦': '0DDD',
+  '╧': 'LD0D', '╨': 'DL0L', '╩': 'DD0D',
+  '╪': 'LDLD', '╫': 'DLDL', '╬': 'DDDD',
+  '╴': '000L', '╵': 'L000', '╶': '0L00', '╷': '00L0',
+  '╸': '000H', '╹': 'H000', '╺': '0H00', '╻': '00H0',
+  '╼': '0H0L', '╽': 'L0H0', '╾': '0L0H', '╿': 'H0L0',
+};
+
+// Straight glyphs swapped for their broken forms on dashed and dotted
+// strokes. Unicode has no broken double lines, so those break light.
+const BROKEN_GLYPHS = {
+  dashed: { '─': '╌', '│': '╎', '━': '╍', '┃': '╏', '═': '╌', '║': '╎' },
+  dotted: { '─': '┈', '│': '┊', '━': '┉', '┃': '┋', '═': '┈', '║': '┊' },
+};
+
+function maskFromCode(code) {
+  return [UP, RIGHT, DOWN, LEFT].reduce(
+    (mask, shift, i) => mask | (WEIGHT_CODES[code[i]] << shift),
+    0
+  );
+}
+
+const GLYPH_BY_MASK = new Map(
+  Object.entries(GLYPHS).map(([glyph, code]) => [maskFromCode(code), glyph])
+);
+
+/**
+ * Returns the mask a box-drawing glyph stands for, or 0 for any other char.
+ */
+export function glyphMask(char) {
+  return GLYPHS[char] ? maskFromCode(GLYPHS[char]) : 0;
+}
+
+/**
+ * Builds a mask with the given weight in each listed direction.
+ */
+export function strokeMask(directions, weight = LIGHT) {
+  return directions.reduce((mask, dir) => mask | (weight << dir), 0);
+}
+
+export function weightAt(mask, dir) {
+  return (mask >> dir) & 3;
+}
+
+/**
+ * Merges two masks, keeping the stronger weight in each direction.
+ */
+export function mergeMasks(a, b) {
+  let mask = 0;
+  for (const dir of [UP, RIGHT, DOWN, LEFT]) {
+    mask |= Math.max(weightAt(a, dir), weightAt(b, dir)) << dir;
+  }
+  return mask;
+}
+
+function mapWeights(mask, from, to) {
+  let out = 0;
+  for (const dir of [UP, RIGHT, DOWN, LEFT]) {
+    const w = weightAt(mask, dir);
+    out |= (w === from ? to : w) << dir;
+  }
+  return out;
+}
+
+/**
+ * Resolves a mask to a box-drawing glyph.
+ *
+ * A lone stub (a line ending in this cell) is drawn as the full straight
+ * glyph so free line ends stay flush. Weight mixes Unicode has no glyph for
+ * (e.g. heavy meeting double) fall back to lighter strokes. A `dashed` or
+ * `dotted` style only changes straight runs; corners and junctions stay solid.
+ */
+export function resolveJunction(mask, style = 'solid') {
+  if (mask === 0) return ' ';
+
+  const up = weightAt(mask, UP);
+  const right = weightAt(mask, RIGHT);
+  const down = weightAt(mask, DOWN);
+  const left = weightAt(mask, LEFT);
+  const count = [up, right, down, left].filter(Boolean).length;
+  if (count === 1) {
+    if (up || down) mask |= (up || down) << UP | (up || down) << DOWN;
+    else mask |= (left || right) << LEFT | (left || right) << RIGHT;
+  }
+
+  const candidates = [
+    mask,
+    mapWeights(mask, HEAVY, LIGHT),
+    mapWeights(mask, DOUBLE, LIGHT),
+    mapWeights(mapWeights(mask, HEAVY, LIGHT), DOUBLE, LIGHT),
+  ];
+  for (const candidate of candidates) {
+    const glyph = GLYPH_BY_MASK.get(candidate);
+    if (glyph) return BROKEN_GLYPHS[style]?.[glyph] ?? glyph;
+  }
+  return '┼';
+}
@@ -0,0 +1,115 @@
+/**
+ * Character sets: the final mapping from resolved box-drawing glyphs to the
+ * characters a theme draws with.
+ */
+
+import { LIGHT, HEAVY, DOUBLE, UP, RIGHT, DOWN, LEFT, glyphMask, weightAt } from './boxDrawing.js';
+
+export const CHARSETS = ['ascii', 'light', 'rounded', 'heavy', 'double'];
+
+const ROUNDED_CORNERS = { '┌': '╭', '┐': '╮', '└': '╰', '┘': '╯' };
+
+// Arrowhead glyphs for each Excalidraw arrowhead type, by heading
+// (up, right, down, left). Bars are drawn as junctions instead.
+const ARROWHEADS = {
+  arrow: ['^', '>', 'v', '<'],
+  triangle: ['▲', '▶', '▼', '◀'],
+  triangle_outline: ['△', '▷', '▽', '◁'],
+  dot: ['●', '●', '●', '●'],
+  circle: ['●', '●', '●', '●'],
+  circle_outline: ['○', '○', '○', '○'],
+  diamond: ['◆', '◆', '◆', '◆'],
+  diamond_outline: ['◇', '◇', '◇', '◇'],
+};
+
+const ASCII_ARROWHEADS = {
+  arrow: ['^', '>', 'v', '<'],
+  triangle: ['^', '>', 'v', '<'],
+  triangle_outline: ['^', '>', 'v', '<'],
+  dot: ['*', '*', '*', '*'],
+  circle: ['*', '*', '*', '*'],
+  circle_outline: ['o', 'o', 'o', 'o'],
+  diamond: ['#', '#', '#', '#'],
+  diamond_outline: ['o', 'o', 'o', 'o'],
+};
+
+// Glyphs outside the box-drawing masks, in 7-bit ASCII
+const ASCII_SHAPES = {
+  '╱': '/',
+  '╲': '\\',
+  '╳': 'X',
+  '╭': '+',
+  '╮': '+',
+  '╰': '+',
+  '╯': '+',
+  '░': '.',
+  '▒': ':',
+  '▓': '#',
+  // Ends a label cut short
+  '…': '~',
+};
+
+// Dashed and dotted runs in 7-bit ASCII
+const ASCII_BROKEN = {
+  '╌': column => (column % 3 === 2 ? ' ' : '-'),
+  '╎': () => ':',
+  '┈': () => '.',
+  '┊': () => '.',
+};
+
+export function assertCharset(charset) {
+  if (!CHARSETS.includes(charset)) {
+    throw new Error(`Unknown charset "${charset}" (expected one of: ${CHARSETS.join(', ')})`);
+  }
+}
+
+/**
+ * Stroke weight the charset draws lines with.
+ */
+export function charsetWeight(charset) {
+  if (charset === 'heavy') return HEAVY;
+  if (charset === 'double') return DOUBLE;
+  return LIGHT;
+}
+
+export function arrowheadGlyph(type, heading, charset) {
+  const table = charset === 'ascii' ? ASCII_ARROWHEADS : ARROWHEADS;
+  return (table[type] || table.arrow)[heading];
+}
+
+/**
+ * The arrowhead a glyph draws, as `{ type, heading }`, or null. `heading`
+ * is null for glyphs that look the same every way. Of the ASCII glyphs only
+ * the pointed ones count, the rest are too easily letters.
+ */
+export function arrowheadFromGlyph(char) {
+  for (const [type, glyphs] of Object.entries(ARROWHEADS)) {
+    const heading = glyphs.indexOf(char);
+    if (heading !== -1) return { type, heading: new Set(glyphs).size === 1 ? null : heading };
+  }
+  return null;
+}
+
+/** The rounded version of a light corner glyph; anything else unchanged. */
+export function roundedCorner(char) {
+  return ROUNDED_CORNERS[char] ?? char;
+}
+
+/**
+ * Maps a Unicode box-drawing glyph into the charset. Other characters pass
+ * through. `column` spaces out dashes in ASCII.
+ */
+export function toCharset(char, charset, column = 0) {
+  if (charset === 'rounded') return roundedCorner(char);
+  if (charset !== 'ascii') return char;
+
+  if (ASCII_BROKEN[char]) return ASCII_BROKEN[char](column);
+  if (ASCII_SHAPES[char]) return ASCII_SHAPES[char];
+  const mask = glyphMask(char);
+  if (!mask) return char;
+  const vertical = weightAt(mask, UP) || weightAt(mask, DOWN);
+  const horizontal = weightAt(mask, LEFT) || weightAt(mask, RIGHT);
+  if (horizontal && !vertical) return horizontal === DOUBLE ? '=' : '-';
+  if (vertical && !horizontal) return '|';
+  return '+';
+}
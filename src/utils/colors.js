@@ -0,0 +1,200 @@
+/**
+ * Scene colors carried into the output: ANSI escapes for terminals, styled
+ * spans for HTML, or a legend naming each color for plain text.
+ */
+
+import { escapeXML } from './formats.js';
+
+export const COLOR_MODES = ['ansi', 'truecolor', 'html', 'legend'];
+// Modes that mark up the characters themselves
+export const MARKUP_MODES = ['ansi', 'truecolor', 'html'];
+
+// Dark cells on a light fill, where the stroke leaves them the default color
+const INK_ON_LIGHT = [30, 30, 30];
+const RESET = '\x1b[0m';
+// Channel levels of the 256-color cube
+const CUBE_LEVELS = [0, 95, 135, 175, 215, 255];
+
+export function assertColorMode(mode) {
+  if (!COLOR_MODES.includes(mode)) {
+    throw new Error(`Unknown color mode "${mode}" (expected one of: ${COLOR_MODES.join(', ')})`);
+  }
+}
+
+/**
+ * A CSS color as `[r, g, b]`: hex (#rgb, #rrggbb, with or without alpha) or
+ * rgb()/rgba(). Null for anything else, including transparent.
+ */
+export function parseColor(color) {
+  if (typeof color !== 'string') return null;
+  const value = color.trim().toLowerCase();
+  const hex = value.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+  if (hex) {
+    const digits = hex[1].length <= 4 ? [...hex[1]].map(d => d + d).join('') : hex[1];
+    if (digits.length === 8 && digits.slice(6) === '00') return null;
+    return [0, 2, 4].map(i => parseInt(digits.slice(i, i + 2), 16));
+  }
+  const rgb = value.match(/^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*(?:,\s*([\d.]+)\s*)?\)$/);
+  if (rgb && (rgb[4] === undefined || parseFloat(rgb[4]) > 0)) {
+    return rgb.slice(1, 4).map(n => Math.min(255, parseInt(n, 10)));
+  }
+  return null;
+}
+
+export function toHex([r, g, b]) {
+  return '#' + [r, g, b].map(n => n.toString(16).padStart(2, '0')).join('');
+}
+
+// Relative luminance, 0 for black to 1 for white
+function luminance([r, g, b]) {
+  return (0.2126 * r + 0.7152 * g + 0.0722 * b) / 255;
+}
+
+/**
+ * Glyph shading a filled shape: hatching for `hachure` and `zigzag`, crossed
+ * hatching for `cross-hatch`, and for `solid` (Excalidraw's default) a shade
+ * as dense as the color is dark.
+ */
+export function fillGlyph(fillStyle, rgb) {
+  if (fillStyle === 'cross-hatch') return '╳';
+  if (fillStyle === 'hachure' || fillStyle === 'zigzag') return '╱';
+  const light = luminance(rgb);
+  if (light > 0.7) return '░';
+  return light > 0.4 ? '▒' : '▓';
+}
+
+/**
+ * The color shading glyphs are drawn in over their fill: a darker tone of a
+ * light fill, a lighter one of a dark fill, so the glyphs stay visible.
+ */
+export function shadeInk(rgb) {
+  return luminance(rgb) > 0.5
+    ? rgb.map(n => Math.round(n * 0.6))
+    : rgb.map(n => Math.round(n + (255 - n) * 0.4));
+}
+
+/**
+ * Excalidraw draws with near-black by default, which would vanish on a
+ * dark terminal; such strokes keep the viewer's own color.
+ */
+export function isDefaultInk(rgb) {
+  return Math.max(...rgb) < 0x40;
+}
+
+// Nearest entry of the 6×6×6 cube or the 24-step gray ramp
+function ansi256([r, g, b]) {
+  const nearest = value => CUBE_LEVELS.reduce((best, level, i) => (
+    Math.abs(level - value) < Math.abs(CUBE_LEVELS[best] - value) ? i : best
+  ), 0);
+  const [cr, cg, cb] = [r, g, b].map(nearest);
+  const cube = [cr, cg, cb].map(i => CUBE_LEVELS[i]);
+  const grayStep = Math.max(0, Math.min(23, Math.round(((r + g + b) / 3 - 8) / 10)));
+  const gray = 8 + grayStep * 10;
+  const distance = ([x, y, z]) => (x - r) ** 2 + (y - g) ** 2 + (z - b) ** 2;
+  return distance([gray, gray, gray]) < distance(cube) ? 232 + grayStep : 16 + 36 * cr + 6 * cg + cb;
+}
+
+function escapeCode({ ink, fill }, mode) {
+  const codes = [];
+  if (ink) codes.push(mode === 'truecolor' ? `38;2;${ink.join(';')}` : `38;5;${ansi256(ink)}`);
+  if (fill) codes.push(mode === 'truecolor' ? `48;2;${fill.join(';')}` : `48;5;${ansi256(fill)}`);
+  return `\x1b[${codes.join(';')}m`;
+}
+
+function spanStyle({ ink, fill }) {
+  return [ink && `color:${toHex(ink)}`, fill && `background-color:${toHex(fill)}`].filter(Boolean).join(';');
+}
+
+/**
+ * Marks up lines of output with the colors of their cells. `colorAt(x, y)`
+ * gives a cell's `{ ink, fill }` as `[r, g, b]` or null. Spaces take their
+ * neighbours' ink so runs stay whole; uncolored text passes through (escaped,
+ * in HTML).
+ *
+ * @param {string[]} lines
+ * @param {(x: number, y: number) => { ink: number[] | null, fill: number[] | null }} colorAt
+ * @param {string} mode `ansi` (256 colors), `truecolor` or `html`
+ */
+export function colorize(lines, colorAt, mode) {
+  const same = (a, b) => (a === b) || (Boolean(a) && Boolean(b) && a.join() === b.join());
+  return lines.map((line, y) => {
+    const runs = [];
+    [...line].forEach((char, x) => {
+      const cell = colorAt(x, y);
+      const last = runs[runs.length - 1];
+      let ink = char === ' ' ? (last ? last.ink : null) : cell.ink;
+      if (!ink && char !== ' ' && cell.fill && luminance(cell.fill) > 0.5) ink = INK_ON_LIGHT;
+      if (last && same(last.ink, ink) && same(last.fill, cell.fill)) {
+        last.text += char;
+        return;
+      }
+      runs.push({ text: char, ink, fill: cell.fill });
+    });
+    const mark = (text, run) => {
+      if (!text || !(run.ink || run.fill)) return mode === 'html' ? escapeXML(text) : text;
+      return mode === 'html'
+        ? `<span style="${spanStyle(run)}">${escapeXML(text)}</span>`
+        : `${escapeCode(run, mode)}${text}${RESET}`;
+    };
+    // Spaces trailing a run without a fill need no color
+    return runs.map(run => {
+      const text = run.fill ? run.text : run.text.replace(/ +$/, '');
+      return mark(text, run) + mark(run.text.slice(text.length), {});
+    }).join('');
+  }).join('\n');
+}
+
+/** A rough name for a color, such as "red" or "light blue". */
+export function colorName(rgb) {
+  const [r, g, b] = rgb.map(n => n / 255);
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const lightness = (max + min) / 2;
+  const saturation = max === min ? 0 : (max - min) / (1 - Math.abs(2 * lightness - 1));
+  if (saturation < 0.15 || max - min < 0.08) {
+    if (lightness < 0.2) return 'black';
+    if (lightness > 0.9) return 'white';
+    return lightness > 0.6 ? 'light gray' : 'gray';
+  }
+  let hue;
+  if (max === r) hue = ((g - b) / (max - min) + 6) % 6;
+  else if (max === g) hue = (b - r) / (max - min) + 2;
+  else hue = (r - g) / (max - min) + 4;
+  hue *= 60;
+  const names = [[15, 'red'], [45, 'orange'], [70, 'yellow'], [165, 'green'], [195, 'cyan'], [255, 'blue'], [290, 'violet'], [345, 'pink'], [360, 'red']];
+  const name = names.find(([limit]) => hue < limit)[1];
+  if (lightness > 0.75) return `light ${name}`;
+  return lightness < 0.3 ? `dark ${name}` : name;
+}
+
+/**
+ * Names what each color marks, so plain text keeps the meaning. Entries are
+ * `{ color: [r, g, b], fill, name, type }`: the stroke or fill color of an
+ * element and its label, or its type when it has none.
+ *
+ * @returns {string} One line per color, or '' when nothing is colored
+ */
+export function colorLegend(entries) {
+  const groups = new Map();
+  entries.forEach(entry => {
+    const id = `${toHex(entry.color)} ${entry.fill ? 'fill' : 'stroke'}`;
+    if (!groups.has(id)) groups.set(id, { ...entry, names: [], unnamed: new Map() });
+    const group = groups.get(id);
+    if (entry.name) {
+      if (!group.names.includes(entry.name)) group.names.push(entry.name);
+    } else {
+      group.unnamed.set(entry.type, (group.unnamed.get(entry.type) || 0) + 1);
+    }
+  });
+  if (groups.size === 0) return '';
+
+  const lines = [...groups.values()].map(group => {
+    const what = [
+      ...group.names.map(name => JSON.stringify(name)),
+      ...[...group.unnamed].map(([type, count]) => (count > 1 ? `${count} ${type}s` : type)),
+    ];
+    const kind = group.fill ? `${colorName(group.color)} fill` : colorName(group.color);
+    return `- ${kind} ${toHex(group.color)}: ${what.join(', ')}`;
+  });
+  return ['Colors:', ...lines].join('\n');
+}
@@ -0,0 +1,107 @@
+/**
+ * Output formats for rendered ASCII: raw text, Markdown, HTML, SVG and a
+ * JSON cell map. Mermaid and DOT export the diagram's graph instead.
+ */
+
+import { toMermaid, toDOT } from './graph.js';
+
+export const FORMATS = ['text', 'markdown', 'html', 'svg', 'json', 'mermaid', 'dot'];
+// Formats built from `meta.graph` rather than the ASCII
+export const GRAPH_FORMATS = ['mermaid', 'dot'];
+
+// SVG character cell, in pixels
+const SVG_FONT_SIZE = 14;
+const SVG_CELL_WIDTH = 8.4;
+const SVG_LINE_HEIGHT = 17;
+
+export function assertFormat(format) {
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unknown format "${format}" (expected one of: ${FORMATS.join(', ')})`);
+  }
+}
+
+export function escapeXML(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function toMarkdown(ascii, title, trailers) {
+  // The fence has to be longer than any run of backticks inside it
+  const longestRun = Math.max(2, ...(ascii.match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(longestRun + 1);
+  const block = `${fence}text\n${ascii}\n${fence}\n`;
+  return (title ? `**${title}**\n\n` : '') + block + trailers.map(text => `\n${text}\n`).join('');
+}
+
+// `markup` is the ASCII already escaped, with colored spans
+function toHTML(ascii, title, { summary, legend, markup }) {
+  const titleAttr = title ? ` title="${escapeXML(title)}"` : '';
+  return [
+    `<pre class="excalidraw-ascii"${titleAttr}>${markup ?? escapeXML(ascii)}</pre>\n`,
+    legend ? `<pre class="excalidraw-legend">${escapeXML(legend)}</pre>\n` : '',
+    summary ? `<pre class="excalidraw-summary">${escapeXML(summary)}</pre>\n` : '',
+  ].join('');
+}
+
+// Each line is stretched to exactly its cell count so columns line up
+// whatever monospace font the viewer falls back to
+function toSVG(ascii, title) {
+  const lines = ascii.split('\n');
+  const columns = Math.max(0, ...lines.map(line => [...line].length));
+  const width = Math.ceil(columns * SVG_CELL_WIDTH);
+  const height = lines.length * SVG_LINE_HEIGHT;
+  const texts = lines.map((line, i) => {
+    if (!line) return '';
+    const length = ([...line].length * SVG_CELL_WIDTH).toFixed(1);
+    const y = (i + 1) * SVG_LINE_HEIGHT - 4;
+    return `  <text x="0" y="${y}" textLength="${length}" lengthAdjust="spacingAndGlyphs">${escapeXML(line)}</text>\n`;
+  }).join('');
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" xml:space="preserve" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">\n`,
+    title ? `  <title>${escapeXML(title)}</title>\n` : '',
+    `  <style>text { font-family: 'SF Mono', Menlo, Consolas, monospace; font-size: ${SVG_FONT_SIZE}px; white-space: pre; fill: #000; }</style>\n`,
+    `  <rect width="100%" height="100%" fill="#fff"/>\n`,
+    texts,
+    '</svg>\n',
+  ].join('');
+}
+
+function toJSON(ascii, meta, title, summary, legend) {
+  return JSON.stringify({
+    ...(title ? { title } : {}),
+    columns: meta.columns,
+    rows: ascii ? ascii.split('\n') : [],
+    elements: meta.boxes,
+    ...(legend ? { legend } : {}),
+    ...(summary ? { summary } : {}),
+  }, null, 2) + '\n';
+}
+
+/**
+ * Wraps rendered ASCII in the requested format.
+ *
+ * @param {string} ascii
+ * @param {object} meta The `meta` of a render result; Mermaid and DOT read
+ *   its `graph`
+ * @param {string} format One of FORMATS
+ * @param {{ title?: string, summary?: string, legend?: string, color?: string, colored?: string }} [options]
+ *   `summary` and the color `legend` follow the ASCII in the text,
+ *   markdown, html and json formats. `colored` is the ASCII marked up in
+ *   the `color` mode, and replaces it where the two match: ANSI escapes in
+ *   text, spans in html.
+ */
+export function formatOutput(ascii, meta, format, { title, summary, legend, color, colored } = {}) {
+  assertFormat(format);
+  const trailers = [legend, summary].filter(Boolean);
+  if (format === 'markdown') return toMarkdown(ascii, title, trailers);
+  if (format === 'html') return toHTML(ascii, title, { summary, legend, markup: color === 'html' ? colored : undefined });
+  if (format === 'svg') return toSVG(ascii, title);
+  if (format === 'json') return toJSON(ascii, meta, title, summary, legend);
+  if (format === 'mermaid') return toMermaid(meta.graph, title);
+  if (format === 'dot') return toDOT(meta.graph, title);
+  const text = (color === 'ansi' || color === 'truecolor') && colored !== undefined ? colored : ascii;
+  return [text, ...trailers].join('\n\n');
+}
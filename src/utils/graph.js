@@ -0,0 +1,219 @@
+/**
+ * The graph behind a box-and-arrow drawing: shapes as nodes, arrows bound
+ * at both ends as edges. Exported as Mermaid flowcharts and Graphviz DOT.
+ */
+
+const NODE_TYPES = ['rectangle', 'diamond', 'ellipse'];
+
+// Arrowhead types at both ends. Files saved before Excalidraw had the
+// fields get its defaults: a plain head at the end of arrows only.
+export function arrowheadsOf(el) {
+  const fallback = el.type === 'arrow' ? 'arrow' : null;
+  return {
+    start: el.startArrowhead ?? null,
+    end: el.endArrowhead === undefined ? fallback : el.endArrowhead
+  };
+}
+
+export function isInsideShape(el, px, py) {
+  const cx = el.x + el.width / 2;
+  const cy = el.y + el.height / 2;
+  const rx = Math.abs(el.width) / 2;
+  const ry = Math.abs(el.height) / 2;
+  const dx = rx ? Math.abs(px - cx) / rx : 0;
+  const dy = ry ? Math.abs(py - cy) / ry : 0;
+  if (el.type === 'diamond') return dx + dy <= 1;
+  if (el.type === 'ellipse') return dx * dx + dy * dy <= 1;
+  return dx <= 1 && dy <= 1;
+}
+
+/**
+ * Text bound to a container, keyed by container id. Bindings are recorded
+ * on the text (`containerId`) and, in older files, only on the container.
+ */
+export function findLabels(elements) {
+  const elementsById = new Map(elements.map(el => [el.id, el]));
+  const labels = new Map();
+  elements.forEach(el => {
+    if (el.type === 'text' && el.containerId && elementsById.has(el.containerId)) {
+      labels.set(el.containerId, el);
+    }
+  });
+  elements.forEach(el => {
+    (el.boundElements || []).forEach(be => {
+      const textEl = elementsById.get(be.id);
+      if (textEl && textEl.type === 'text' && !labels.has(el.id)) {
+        labels.set(el.id, textEl);
+      }
+    });
+  });
+  return labels;
+}
+
+function textOf(label) {
+  return label ? (label.originalText ?? label.text ?? '').trim() : '';
+}
+
+// Free text centered inside an unlabeled shape labels it too, as in
+// drawings made before Excalidraw could bind text: the smallest shape around
+// it, as long as that shape holds no other free text.
+function placedLabels(elements, labels) {
+  const bound = new Set([...labels.values()].map(label => label.id));
+  const shapes = elements
+    .filter(el => NODE_TYPES.includes(el.type))
+    .sort((a, b) => Math.abs(a.width * a.height) - Math.abs(b.width * b.height));
+  const texts = new Map();
+  elements
+    .filter(el => el.type === 'text' && !bound.has(el.id) && !el.containerId)
+    .forEach(text => {
+      const cx = text.x + (text.width || 0) / 2;
+      const cy = text.y + (text.height || 0) / 2;
+      const shape = shapes.find(el => isInsideShape(el, cx, cy));
+      if (shape) texts.set(shape.id, [...(texts.get(shape.id) || []), text]);
+    });
+
+  const placed = new Map(labels);
+  texts.forEach(([text, ...others], shapeId) => {
+    if (others.length === 0 && !placed.has(shapeId)) placed.set(shapeId, text);
+  });
+  return placed;
+}
+
+/**
+ * Extracts nodes and edges from the elements `selectElements` picked.
+ *
+ * @returns {{ nodes: object[], edges: object[], warnings: string[], direction: string }}
+ *   Nodes are `{ id, key, shape, label, labelId, rounded }`, with `key` a
+ *   short id safe for Mermaid and DOT and `labelId` the text element used. Edges are `{ id, from, to, label, directed,
+ *   style }` with `directed` one of `forward`, `both` or `none`, and `from`
+ *   and `to` node keys. `direction` is `LR` or `TD`, whichever way the
+ *   edges mostly run.
+ */
+export function extractGraph(elements) {
+  const labels = placedLabels(elements, findLabels(elements));
+  const nodes = elements
+    .filter(el => NODE_TYPES.includes(el.type))
+    .map((el, i) => ({
+      id: el.id,
+      key: `n${i + 1}`,
+      shape: el.type,
+      label: textOf(labels.get(el.id)),
+      labelId: labels.get(el.id)?.id ?? null,
+      rounded: Boolean(el.roundness),
+    }));
+  const nodesById = new Map(nodes.map(node => [node.id, node]));
+  // Arrows bound to a label are bound to its container
+  const containerOf = new Map([...labels].map(([containerId, label]) => [label.id, containerId]));
+  const nodeFor = binding => {
+    if (!binding) return null;
+    return nodesById.get(binding.elementId) || nodesById.get(containerOf.get(binding.elementId)) || null;
+  };
+
+  const edges = [];
+  const warnings = [];
+  elements.filter(el => el.type === 'arrow').forEach(el => {
+    const label = textOf(labels.get(el.id));
+    const name = label ? `Arrow "${label}"` : `Arrow ${el.id}`;
+    const start = nodeFor(el.startBinding);
+    const end = nodeFor(el.endBinding);
+    if (!start || !end) {
+      const loose = !start && !end ? 'either end' : !start ? 'its start' : 'its end';
+      warnings.push(`${name} is not bound to a shape at ${loose}; left out`);
+      return;
+    }
+
+    // Edges point the way the arrowheads do
+    const heads = arrowheadsOf(el);
+    const reversed = Boolean(heads.start) && !heads.end;
+    edges.push({
+      id: el.id,
+      from: reversed ? end.key : start.key,
+      to: reversed ? start.key : end.key,
+      label,
+      directed: heads.start && heads.end ? 'both' : heads.start || heads.end ? 'forward' : 'none',
+      style: el.strokeStyle || 'solid',
+    });
+  });
+
+  if (nodes.length === 0) warnings.push('No rectangles, diamonds or ellipses to turn into nodes');
+  return { nodes, edges, warnings, direction: flowDirection(elements, edges, nodes) };
+}
+
+// Left-to-right when edges mostly run sideways, else top-down
+function flowDirection(elements, edges, nodes) {
+  const centers = new Map();
+  const byId = new Map(elements.map(el => [el.id, el]));
+  nodes.forEach(node => {
+    const el = byId.get(node.id);
+    centers.set(node.key, { x: el.x + el.width / 2, y: el.y + el.height / 2 });
+  });
+  let horizontal = 0;
+  let vertical = 0;
+  edges.forEach(edge => {
+    const from = centers.get(edge.from);
+    const to = centers.get(edge.to);
+    horizontal += Math.abs(to.x - from.x);
+    vertical += Math.abs(to.y - from.y);
+  });
+  return horizontal > vertical ? 'LR' : 'TD';
+}
+
+function mermaidText(text) {
+  return `"${text.replace(/"/g, '#quot;').replace(/\n/g, '<br>') || ' '}"`;
+}
+
+const MERMAID_SHAPES = {
+  rectangle: ['[', ']'],
+  diamond: ['{', '}'],
+  ellipse: ['([', '])'],
+};
+
+const MERMAID_LINKS = {
+  solid: { none: '---', forward: '-->', both: '<-->' },
+  dashed: { none: '-.-', forward: '-.->', both: '<-.->' },
+};
+
+export function toMermaid(graph, title) {
+  const lines = [];
+  if (title) lines.push('---', `title: ${JSON.stringify(title)}`, '---');
+  lines.push(`flowchart ${graph.direction}`);
+  graph.nodes.forEach(node => {
+    const [open, close] = node.shape === 'rectangle' && node.rounded ? ['(', ')'] : MERMAID_SHAPES[node.shape];
+    lines.push(`  ${node.key}${open}${mermaidText(node.label)}${close}`);
+  });
+  graph.edges.forEach(edge => {
+    const link = MERMAID_LINKS[edge.style === 'solid' ? 'solid' : 'dashed'][edge.directed];
+    const label = edge.label ? `|${mermaidText(edge.label)}|` : '';
+    lines.push(`  ${edge.from} ${link}${label} ${edge.to}`);
+  });
+  return lines.join('\n') + '\n';
+}
+
+function dotText(text) {
+  return `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+}
+
+const DOT_SHAPES = {
+  rectangle: 'box',
+  diamond: 'diamond',
+  ellipse: 'ellipse',
+};
+
+export function toDOT(graph, title) {
+  const lines = ['digraph {', `  rankdir=${graph.direction === 'LR' ? 'LR' : 'TB'};`];
+  if (title) lines.push(`  label=${dotText(title)};`, '  labelloc=t;');
+  graph.nodes.forEach(node => {
+    const attrs = [`label=${dotText(node.label)}`, `shape=${DOT_SHAPES[node.shape]}`];
+    if (node.shape === 'rectangle' && node.rounded) attrs.push('style=rounded');
+    lines.push(`  ${node.key} [${attrs.join(', ')}];`);
+  });
+  graph.edges.forEach(edge => {
+    const attrs = [];
+    if (edge.label) attrs.push(`label=${dotText(edge.label)}`);
+    if (edge.directed !== 'forward') attrs.push(`dir=${edge.directed}`);
+    if (edge.style !== 'solid') attrs.push(`style=${edge.style}`);
+    lines.push(`  ${edge.from} -> ${edge.to}${attrs.length ? ` [${attrs.join(', ')}]` : ''};`);
+  });
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,93 @@
+/**
+ * Excalidraw libraries (.excalidrawlib): every item rendered as its own
+ * snippet, titled with the item's name.
+ */
+
+import { renderASCII } from './asciiRenderer.js';
+import { toCharset } from './charsets.js';
+import { assertFormat, escapeXML, formatOutput, GRAPH_FORMATS } from './formats.js';
+import { MARKUP_MODES } from './colors.js';
+import { textLength } from './textLayout.js';
+
+export function isLibrary(data) {
+  return Boolean(data) && (data.type === 'excalidrawlib' || Array.isArray(data.libraryItems) || Array.isArray(data.library));
+}
+
+/**
+ * Library items as `{ id, name, elements }`. Version 2 libraries list
+ * `libraryItems`; version 1 kept bare element arrays in `library`.
+ */
+export function libraryItems(library) {
+  const items = library.libraryItems
+    || (library.library || []).map(elements => ({ elements }));
+  return items.map((item, i) => ({
+    id: item.id || `item-${i + 1}`,
+    name: (item.name || '').trim() || `Item ${i + 1}`,
+    elements: item.elements || [],
+  }));
+}
+
+/**
+ * Renders each library item at its own origin and joins them into a catalog.
+ * Takes the same options as `renderASCII`; `title` names the whole catalog.
+ *
+ * @returns {{ ascii: string, output: string, stats: string, summary: string, items: object[], colored?: string, legend?: string }}
+ *   `summary` outlines every item under its name. `items` holds, per library item, its id and name plus the `renderASCII`
+ *   result with `output` titled by the item's name. `colored` and `legend`
+ *   gather the items' the same way when a `color` mode is given.
+ */
+export function renderLibrary(library, options = {}) {
+  const { format = 'text', title, charset = 'light', summary: withSummary = false, color } = options;
+  assertFormat(format);
+
+  const items = libraryItems(library).map(({ id, name, elements }) => ({
+    id,
+    name,
+    ...renderASCII({ elements }, { ...options, title: name }),
+  }));
+
+  const rule = text => toCharset('─', charset).repeat(textLength(text));
+  const sections = items.map(item => `${item.name}\n${rule(item.name)}\n${item.ascii}`);
+  const ascii = [...(title ? [`${title}\n${rule(title)}`] : []), ...sections].join('\n\n');
+  const summary = items.map(item => `${item.name}\n${rule(item.name)}\n${item.summary}`).join('\n\n');
+  // Headings are plain text, escaped alongside HTML spans
+  const heading = text => (color === 'html' ? escapeXML(text) : text);
+  const colored = MARKUP_MODES.includes(color)
+    ? [...(title ? [`${heading(title)}\n${rule(title)}`] : []),
+      ...items.map(item => `${heading(item.name)}\n${rule(item.name)}\n${item.colored}`)].join('\n\n')
+    : undefined;
+  const legend = color === 'legend'
+    ? items.filter(item => item.legend).map(item => `${item.name}\n${rule(item.name)}\n${item.legend}`).join('\n\n')
+    : undefined;
+  const meta = {
+    items: items.length,
+    columns: Math.max(0, ...ascii.split('\n').map(line => line.length)),
+    rows: ascii ? ascii.split('\n').length : 0,
+    chars: ascii.length,
+  };
+
+  let output;
+  if (format === 'markdown') {
+    output = (title ? `# ${title}\n\n` : '') + items.map(item => item.output).join('\n');
+  } else if (GRAPH_FORMATS.includes(format)) {
+    // One graph per item, each titled with the item's name
+    output = items.map(item => item.output).join('\n');
+  } else if (format === 'json') {
+    output = JSON.stringify({
+      ...(title ? { title } : {}),
+      items: items.map(item => ({ id: item.id, ...JSON.parse(item.output) })),
+    }, null, 2) + '\n';
+  } else {
+    output = formatOutput(ascii, meta, format, { title, summary: withSummary ? summary : undefined, color, colored, legend });
+  }
+
+  return {
+    ascii: ascii || '(empty library)',
+    output,
+    stats: `${items.length} library items · ${meta.columns}×${meta.rows} catalog · ${meta.chars} chars`,
+    summary,
+    items,
+    ...(colored !== undefined ? { colored } : {}),
+    ...(legend !== undefined ? { legend } : {}),
+  };
+}
@@ -0,0 +1,147 @@
+/**
+ * Loaders for the containers a scene can come in: plain Excalidraw JSON, SVG
+ * and PNG exports with the scene embedded, and Obsidian Excalidraw Markdown.
+ * Libraries (.excalidrawlib) and shapes copied in Excalidraw (JSON of type
+ * "excalidraw/clipboard") are JSON too and load as they are.
+ */
+
+import { inflate } from 'pako';
+import LZString from 'lz-string';
+
+// File names the loaders accept, longest first
+export const SOURCE_EXTENSIONS = [
+  '.excalidraw.svg', '.excalidraw.png', '.excalidraw.md', '.excalidrawlib', '.excalidraw', '.json', '.svg', '.png', '.md',
+];
+
+const MIME_TYPE = 'application/vnd.excalidraw+json';
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+function parseJSON(text, what) {
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Invalid JSON in ${what}: ${err.message}`);
+  }
+}
+
+function byteStringToBytes(byteString) {
+  const bytes = new Uint8Array(byteString.length);
+  for (let i = 0; i < byteString.length; i++) bytes[i] = byteString.charCodeAt(i);
+  return bytes;
+}
+
+// Embedded payloads wrap the scene as `{ encoded, compressed }`, where
+// `encoded` is a byte string of (possibly deflated) UTF-8 JSON. Older exports
+// stored the scene itself.
+function decodePayload(json, what) {
+  const payload = parseJSON(json, what);
+  if (payload.encoded === undefined) return payload;
+
+  const bytes = byteStringToBytes(payload.encoded);
+  let text;
+  try {
+    text = payload.compressed ? inflate(bytes, { to: 'string' }) : new TextDecoder().decode(bytes);
+  } catch (err) {
+    throw new Error(`Could not decompress the scene embedded in ${what}: ${err.message || err}`);
+  }
+  return parseJSON(text, what);
+}
+
+function isPNG(bytes) {
+  return bytes && PNG_SIGNATURE.every((byte, i) => bytes[i] === byte);
+}
+
+function loadPNG(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let offset = PNG_SIGNATURE.length;
+
+  // Chunks are length, type, data, CRC; the scene is in a tEXt chunk keyed
+  // by the Excalidraw MIME type
+  while (offset + 8 <= bytes.length) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    const data = bytes.subarray(offset + 8, offset + 8 + length);
+    if (type === 'tEXt') {
+      const separator = data.indexOf(0);
+      const keyword = String.fromCharCode(...data.subarray(0, separator));
+      if (keyword === MIME_TYPE) {
+        let text = '';
+        data.subarray(separator + 1).forEach(byte => { text += String.fromCharCode(byte); });
+        return decodePayload(text, 'the PNG');
+      }
+    }
+    if (type === 'IEND') break;
+    offset += 12 + length;
+  }
+
+  throw new Error('No Excalidraw scene embedded in this PNG (export it with "Embed scene" turned on)');
+}
+
+function loadSVG(text) {
+  const payload = text.match(/<!-- payload-start -->\s*(.+?)\s*<!-- payload-end -->/s);
+  if (!text.includes(`payload-type:${MIME_TYPE}`) || !payload) {
+    throw new Error('No Excalidraw scene embedded in this SVG (export it with "Embed scene" turned on)');
+  }
+
+  // Version 1 payloads are base64 UTF-8, later ones base64 byte strings
+  const version = (text.match(/<!-- payload-version:(\d+) -->/) || [])[1] || '1';
+  let json;
+  try {
+    json = atob(payload[1].replace(/\s/g, ''));
+  } catch {
+    throw new Error('The scene embedded in this SVG is not valid base64');
+  }
+  if (version === '1') json = new TextDecoder().decode(byteStringToBytes(json));
+  return decodePayload(json, 'the SVG');
+}
+
+// Obsidian keeps the scene in a "# Drawing" section, as a ```json block or an
+// LZ-string compressed ```compressed-json block split over several lines
+function loadObsidian(text) {
+  const compressed = text.match(/```compressed-json\s*\n([\s\S]*?)\n\s*```/);
+  if (compressed) {
+    const json = LZString.decompressFromBase64(compressed[1].replace(/\s/g, ''));
+    if (!json) throw new Error('Could not decompress the drawing in this Obsidian file');
+    return parseJSON(json, 'the Obsidian drawing');
+  }
+
+  const plain = text.match(/```json\s*\n([\s\S]*?)\n\s*```/);
+  if (plain) return parseJSON(plain[1], 'the Obsidian drawing');
+
+  throw new Error('No Excalidraw drawing in this Markdown file (expected a "# Drawing" section from the Obsidian plugin)');
+}
+
+/**
+ * Extracts the scene from a file's contents, detecting the container from
+ * the contents themselves.
+ *
+ * @param {string | ArrayBuffer | Uint8Array} content PNG files must be binary
+ * @returns {object} The scene, ready for `renderASCII`
+ */
+export function loadScene(content) {
+  const bytes = content instanceof ArrayBuffer ? new Uint8Array(content)
+    : content instanceof Uint8Array ? content
+      : null;
+  if (isPNG(bytes)) return loadPNG(bytes);
+
+  const text = bytes ? new TextDecoder().decode(bytes) : String(content);
+  const start = text.trimStart();
+  if (start.startsWith('{') || start.startsWith('[')) return parseJSON(text, 'this file');
+  if (/<svg[\s>]/.test(text)) return loadSVG(text);
+  if (start.startsWith('---') || text.includes('```compressed-json') || text.includes('```json')) {
+    return loadObsidian(text);
+  }
+
+  throw new Error(
+    'Unrecognised file: expected Excalidraw JSON, an SVG or PNG export with the scene embedded, '
+    + 'or an Obsidian Excalidraw Markdown file'
+  );
+}
+
+export function validateFile(file) {
+  if (!file) return 'No file selected';
+  if (!SOURCE_EXTENSIONS.some(ext => file.name.endsWith(ext))) {
+    return 'Please select an .excalidraw, .excalidrawlib, .json, .excalidraw.svg, .excalidraw.png or Obsidian .excalidraw.md file';
+  }
+  return null;
+}
@@ -0,0 +1,121 @@
+/**
+ * A plain vector preview of a scene, to hold next to its ASCII: shapes,
+ * lines and text as SVG without the hand-drawn look, optionally under the
+ * character cell grid the renderer maps pixels onto.
+ */
+
+import { escapeXML } from './formats.js';
+import { arrowheadsOf } from './graph.js';
+import { FRAME_TYPES, frameName } from './selection.js';
+
+const DEFAULT_STROKE = '#1e1e1e';
+const DASHES = { dashed: '8 6', dotted: '2 5' };
+const LINE_HEIGHT = 1.25;
+
+function paint(el, filled = true) {
+  const fill = filled && el.backgroundColor && el.backgroundColor !== 'transparent' ? el.backgroundColor : 'none';
+  const dash = DASHES[el.strokeStyle] ? ` stroke-dasharray="${DASHES[el.strokeStyle]}"` : '';
+  const opacity = el.opacity !== undefined && el.opacity < 100 ? ` opacity="${el.opacity / 100}"` : '';
+  return `stroke="${escapeXML(el.strokeColor || DEFAULT_STROKE)}" fill="${escapeXML(fill)}"${dash}${opacity}`;
+}
+
+// Shapes turn about their center by their angle, in radians
+function turn(el) {
+  if (!el.angle) return '';
+  const cx = el.x + el.width / 2;
+  const cy = el.y + el.height / 2;
+  return ` transform="rotate(${(el.angle * 180 / Math.PI).toFixed(2)} ${cx} ${cy})"`;
+}
+
+function box(el) {
+  return {
+    x: Math.min(el.x, el.x + el.width),
+    y: Math.min(el.y, el.y + el.height),
+    width: Math.abs(el.width),
+    height: Math.abs(el.height),
+  };
+}
+
+function textLines(el, fontSize) {
+  const lines = (el.text || '').split('\n');
+  const lineHeight = fontSize * (el.lineHeight || LINE_HEIGHT);
+  const anchor = { center: 'middle', right: 'end' }[el.textAlign] || 'start';
+  const x = anchor === 'middle' ? el.x + el.width / 2 : anchor === 'end' ? el.x + el.width : el.x;
+  return lines.map((line, i) => (
+    `<text x="${x}" y="${el.y + (i + 0.8) * lineHeight}" font-size="${fontSize}" text-anchor="${anchor}" fill="${escapeXML(el.strokeColor || DEFAULT_STROKE)}"${turn(el)}>${escapeXML(line)}</text>`
+  ));
+}
+
+function elementSVG(el) {
+  const { x, y, width, height } = box(el);
+  if (el.type === 'rectangle') {
+    const radius = el.roundness ? Math.min(width, height) / 4 : 0;
+    return [`<rect x="${x}" y="${y}" width="${width}" height="${height}" rx="${radius}" ${paint(el)}${turn(el)}/>`];
+  }
+  if (el.type === 'ellipse') {
+    return [`<ellipse cx="${x + width / 2}" cy="${y + height / 2}" rx="${width / 2}" ry="${height / 2}" ${paint(el)}${turn(el)}/>`];
+  }
+  if (el.type === 'diamond') {
+    const points = [[x + width / 2, y], [x + width, y + height / 2], [x + width / 2, y + height], [x, y + height / 2]];
+    return [`<polygon points="${points.map(p => p.join(',')).join(' ')}" ${paint(el)}${turn(el)}/>`];
+  }
+  if (FRAME_TYPES.includes(el.type)) {
+    return [
+      `<rect x="${x}" y="${y}" width="${width}" height="${height}" ${paint(el, false)} stroke-dasharray="4 4"/>`,
+      `<text x="${x}" y="${y - 4}" font-size="12" fill="#868e96">${escapeXML(frameName(el))}</text>`,
+    ];
+  }
+  if (el.type === 'line' || el.type === 'arrow' || el.type === 'freedraw') {
+    const points = (el.points || []).map(([px, py]) => `${el.x + px},${el.y + py}`).join(' ');
+    const heads = el.type === 'arrow' ? arrowheadsOf(el) : {};
+    const markers = (heads.start ? ' marker-start="url(#arrowhead-start)"' : '') + (heads.end ? ' marker-end="url(#arrowhead)"' : '');
+    const closed = el.type === 'line' && el.backgroundColor && el.backgroundColor !== 'transparent';
+    return [`<${closed ? 'polygon' : 'polyline'} points="${points}" ${paint(el, closed)} stroke-linejoin="round"${markers}/>`];
+  }
+  if (el.type === 'text') return textLines(el, el.fontSize || 20);
+  return [];
+}
+
+/**
+ * Draws the scene as SVG over the area a render covered. The drawing is
+ * stretched to the render's grid, one cell per 8 by 16 pixels whatever the
+ * scale, and leaves out the blank rows trimmed from the ASCII, so it lines
+ * up row for row and column for column with it.
+ *
+ * @param {object[]} elements The elements the render drew
+ * @param {object} meta The render's `meta`
+ * @param {object} [options]
+ * @param {boolean} [options.grid] Overlay the character cells
+ * @returns {string} An SVG document, or '' when the render was empty
+ */
+export function scenePreview(elements, meta, { grid = false } = {}) {
+  if (!meta.bounds) return '';
+  const cellW = meta.cell.width / meta.scale.x;
+  const cellH = meta.cell.height / meta.scale.y;
+  const { top, bottom } = meta.trimmed;
+  const rows = meta.rows - top - bottom;
+  const minX = meta.bounds.minX;
+  const minY = meta.bounds.minY + top * cellH;
+  const viewWidth = meta.columns * cellW;
+  const viewHeight = rows * cellH;
+
+  const shapes = elements.flatMap(elementSVG);
+  const lines = [];
+  if (grid) {
+    for (let column = 0; column <= meta.columns; column++) lines.push(`M${minX + column * cellW} ${minY}v${viewHeight}`);
+    for (let row = 0; row <= rows; row++) lines.push(`M${minX} ${minY + row * cellH}h${viewWidth}`);
+  }
+  const arrowhead = (id, orient) => (
+    `<marker id="${id}" viewBox="0 0 10 10" refX="9" refY="5" markerUnits="userSpaceOnUse" markerWidth="14" markerHeight="14" orient="${orient}"><path d="M0,0L10,5L0,10" fill="none" stroke="${DEFAULT_STROKE}"/></marker>`
+  );
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${meta.columns * meta.cell.width}" height="${rows * meta.cell.height}" viewBox="${minX} ${minY} ${viewWidth} ${viewHeight}" preserveAspectRatio="none">`,
+    `  <defs>${arrowhead('arrowhead', 'auto')}${arrowhead('arrowhead-start', 'auto-start-reverse')}</defs>`,
+    `  <style>rect, ellipse, polygon, polyline { vector-effect: non-scaling-stroke; stroke-width: 1.5px; } .cell-grid { vector-effect: non-scaling-stroke; stroke-width: 1px; } text { font-family: 'Segoe UI', sans-serif; }</style>`,
+    `  <rect x="${minX}" y="${minY}" width="${viewWidth}" height="${viewHeight}" fill="#fff" stroke="none"/>`,
+    ...shapes.map(shape => `  ${shape}`),
+    ...(grid ? [`  <path class="cell-grid" d="${lines.join('')}" stroke="#4a9eff" stroke-opacity="0.35" fill="none"/>`] : []),
+    '</svg>',
+  ].join('\n');
+}
@@ -0,0 +1,119 @@
+/**
+ * Picking part of a scene to render: a frame, a group, a list of elements or
+ * a region of the canvas.
+ */
+
+export const FRAME_TYPES = ['frame', 'magicframe'];
+
+// Excalidraw shows unnamed frames as "Frame"
+export function frameName(frame) {
+  return (frame.name || '').trim() || 'Frame';
+}
+
+/** The scene's frames as `{ id, name }`, in scene order. */
+export function sceneFrames(elements) {
+  return selectElements(elements).elements
+    .filter(el => FRAME_TYPES.includes(el.type))
+    .map(el => ({ id: el.id, name: frameName(el) }));
+}
+
+/**
+ * The elements drawn on their own as `{ id, type, label }`, in scene order:
+ * labels bound to a container are left out, its label stands for it. The
+ * label of text is the text; of a frame, its name.
+ */
+export function listElements(elements) {
+  const live = selectElements(elements).elements;
+  const labels = new Map(live
+    .filter(el => el.type === 'text' && el.containerId)
+    .map(el => [el.containerId, el.text]));
+  return live
+    .filter(el => !(el.type === 'text' && el.containerId))
+    .map(el => {
+      let label = labels.get(el.id) ?? (el.type === 'text' ? el.text : '');
+      if (FRAME_TYPES.includes(el.type)) label = frameName(el);
+      return { id: el.id, type: el.type, label: (label || '').replace(/\s+/g, ' ').trim() };
+    });
+}
+
+// Pixel box of an element; lines and arrows by their points
+function elementBox(el) {
+  if (Array.isArray(el.points) && el.points.length > 0) {
+    const xs = el.points.map(([px]) => el.x + px);
+    const ys = el.points.map(([, py]) => el.y + py);
+    return {
+      x: Math.min(...xs),
+      y: Math.min(...ys),
+      width: Math.max(...xs) - Math.min(...xs),
+      height: Math.max(...ys) - Math.min(...ys),
+    };
+  }
+  const width = el.width || 0;
+  const height = el.height || 0;
+  return {
+    x: Math.min(el.x, el.x + width),
+    y: Math.min(el.y, el.y + height),
+    width: Math.abs(width),
+    height: Math.abs(height),
+  };
+}
+
+function overlaps(a, b) {
+  return a.x <= b.x + b.width && b.x <= a.x + a.width
+    && a.y <= b.y + b.height && b.y <= a.y + a.height;
+}
+
+// Text bound to a picked container comes along with it
+function withLabels(elements, picked) {
+  const ids = new Set(picked.map(el => el.id));
+  picked.forEach(el => (el.boundElements || [])
+    .filter(bound => bound.type === 'text')
+    .forEach(bound => ids.add(bound.id)));
+  return elements.filter(el => ids.has(el.id) || (el.type === 'text' && ids.has(el.containerId)));
+}
+
+/**
+ * Narrows a scene to part of it. `frame` picks a frame, by name or id, with
+ * everything in it; `group` the elements sharing a group id; `ids` the listed
+ * elements; and `region` (`{ x, y, width, height }` in scene pixels) whatever
+ * overlaps it. Given several, an element has to match them all. Deleted
+ * elements are never picked.
+ *
+ * @returns {{ elements: object[], clip: object | null }} The picked elements
+ *   with their labels, and the pixel box the output should cover: the
+ *   frame's or the region's, or null to fit the elements.
+ */
+export function selectElements(sceneElements, { frame, group, ids, region } = {}) {
+  const elements = sceneElements.filter(el => !el.isDeleted);
+  let picked = elements;
+  let clip = null;
+
+  if (frame !== undefined && frame !== null) {
+    const frames = elements.filter(el => FRAME_TYPES.includes(el.type));
+    const found = frames.find(el => el.id === frame) || frames.find(el => frameName(el) === frame);
+    if (!found) {
+      const names = frames.map(el => `"${frameName(el)}"`).join(', ') || 'none';
+      throw new Error(`No frame named "${frame}". Frames in this scene: ${names}`);
+    }
+    picked = picked.filter(el => el.id === found.id || el.frameId === found.id);
+    clip = elementBox(found);
+  }
+  if (group !== undefined && group !== null) {
+    if (!elements.some(el => (el.groupIds || []).includes(group))) {
+      throw new Error(`No elements in group "${group}"`);
+    }
+    picked = picked.filter(el => (el.groupIds || []).includes(group));
+  }
+  if (ids) {
+    const missing = ids.filter(id => !elements.some(el => el.id === id));
+    if (missing.length > 0) throw new Error(`Unknown element id(s): ${missing.join(', ')}`);
+    const wanted = new Set(ids);
+    picked = picked.filter(el => wanted.has(el.id));
+  }
+  if (region) {
+    picked = picked.filter(el => overlaps(elementBox(el), region));
+    clip = region;
+  }
+
+  return { elements: picked === elements ? elements : withLabels(elements, picked), clip };
+}
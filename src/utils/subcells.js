@@ -0,0 +1,50 @@
+/**
+ * High-resolution strokes: every character cell split into a grid of dots,
+ * drawn as Braille patterns (2×4 dots) or quadrant blocks (2×2).
+ */
+
+export const HIGH_RES_MODES = ['braille', 'blocks'];
+
+const DOT_GRIDS = {
+  braille: { columns: 2, rows: 4 },
+  blocks: { columns: 2, rows: 2 },
+};
+
+// Braille dot bits for dots numbered row by row, left to right
+const BRAILLE_BITS = [0x01, 0x08, 0x02, 0x10, 0x04, 0x20, 0x40, 0x80];
+// Quadrant blocks indexed by dots: upper left 1, upper right 2, lower left 4,
+// lower right 8
+const QUADRANTS = ' ▘▝▀▖▌▞▛▗▚▐▜▄▙▟█';
+
+export function assertHighRes(mode) {
+  if (!HIGH_RES_MODES.includes(mode)) {
+    throw new Error(`Unknown high-res mode "${mode}" (expected one of: ${HIGH_RES_MODES.join(', ')})`);
+  }
+}
+
+/** Dots per cell across and down. */
+export function dotGrid(mode) {
+  return DOT_GRIDS[mode];
+}
+
+/**
+ * Glyph for a cell's dots, with bit `row * columns + column` set for each
+ * inked dot. ASCII has no dot glyphs, so it gets a stand-in showing which
+ * half of the cell is inked.
+ */
+export function dotGlyph(dots, mode, charset) {
+  const { columns, rows } = DOT_GRIDS[mode];
+  if (charset === 'ascii') {
+    const half = (columns * rows) / 2;
+    const upper = dots & ((1 << half) - 1);
+    const lower = dots >> half;
+    if (upper && lower) return ':';
+    return upper ? "'" : '.';
+  }
+  if (mode === 'blocks') return QUADRANTS[dots];
+  let bits = 0;
+  BRAILLE_BITS.forEach((bit, i) => {
+    if (dots & (1 << i)) bits |= bit;
+  });
+  return String.fromCodePoint(0x2800 + bits);
+}
@@ -0,0 +1,114 @@
+/**
+ * A compact outline of a scene to paste next to its ASCII: the containers
+ * with their labels, what sits inside what, and what connects to what.
+ */
+
+import { extractGraph, isInsideShape } from './graph.js';
+import { FRAME_TYPES, frameName } from './selection.js';
+const CONNECTORS = { forward: '→', both: '↔', none: '—' };
+
+function boxOf(el) {
+  const width = el.width || 0;
+  const height = el.height || 0;
+  return {
+    x: Math.min(el.x, el.x + width),
+    y: Math.min(el.y, el.y + height),
+    width: Math.abs(width),
+    height: Math.abs(height),
+  };
+}
+
+function encloses(outer, inner) {
+  return inner.x >= outer.x && inner.y >= outer.y
+    && inner.x + inner.width <= outer.x + outer.width
+    && inner.y + inner.height <= outer.y + outer.height;
+}
+
+function quote(text) {
+  return JSON.stringify(text);
+}
+
+/**
+ * Outlines the elements `selectElements` picked as nested Markdown-style
+ * lists.
+ *
+ * Shapes and frames are containers. Each shape, frame, free-standing text
+ * and image goes under the smallest container enclosing it; a frame member
+ * that geometry places elsewhere still goes under its frame. Connections
+ * come from arrows bound at both ends.
+ *
+ * @param {object[]} elements
+ * @returns {string}
+ */
+export function summarizeScene(elements) {
+  const graph = extractGraph(elements);
+  const nodes = new Map(graph.nodes.map(node => [node.id, node]));
+  const labelIds = new Set(graph.nodes.map(node => node.labelId));
+
+  const items = elements
+    .filter(el => nodes.has(el.id) || FRAME_TYPES.includes(el.type) || el.type === 'image'
+      || (el.type === 'text' && !el.containerId && !labelIds.has(el.id)))
+    .map((el, order) => ({ el, order, box: boxOf(el), children: [], parent: null }));
+  const containers = items.filter(item => item.el.type !== 'text' && item.el.type !== 'image');
+  const frames = new Map(containers.filter(item => FRAME_TYPES.includes(item.el.type)).map(item => [item.el.id, item]));
+
+  // Text goes by its center, everything else by its whole box
+  const isWithin = (item, container) => {
+    if (item.el.type !== 'text') return encloses(container.box, item.box);
+    const cx = item.box.x + item.box.width / 2;
+    const cy = item.box.y + item.box.height / 2;
+    return FRAME_TYPES.includes(container.el.type)
+      ? encloses(container.box, { x: cx, y: cy, width: 0, height: 0 })
+      : isInsideShape(container.el, cx, cy);
+  };
+  const size = item => item.box.width * item.box.height;
+  const isAncestor = (ancestor, item) => {
+    for (let current = item.parent; current; current = current.parent) {
+      if (current === ancestor) return true;
+    }
+    return false;
+  };
+
+  // Larger containers first, so a parent is settled before its children
+  [...items].sort((a, b) => size(b) - size(a) || a.order - b.order).forEach(item => {
+    item.parent = containers
+      .filter(container => container !== item && isWithin(item, container)
+        && (size(container) > size(item) || (size(container) === size(item) && container.order < item.order)))
+      .reduce((best, container) => (!best || size(container) < size(best) ? container : best), null);
+    const frame = frames.get(item.el.frameId);
+    if (frame && frame !== item.parent && !isAncestor(frame, item)) item.parent = frame;
+  });
+  items.forEach(item => (item.parent ? item.parent.children : []).push(item));
+
+  const nodeRef = node => `[${node.key}] ${node.label ? quote(node.label) : node.shape}`;
+  const describe = ({ el }) => {
+    if (nodes.has(el.id)) {
+      const node = nodes.get(el.id);
+      return `[${node.key}] ${node.shape}${node.label ? ` ${quote(node.label)}` : ''}`;
+    }
+    if (FRAME_TYPES.includes(el.type)) return `frame ${quote(frameName(el))}`;
+    if (el.type === 'image') return 'image';
+    return `text ${quote((el.originalText ?? el.text ?? '').trim())}`;
+  };
+  const byPosition = (a, b) => a.box.y - b.box.y || a.box.x - b.box.x;
+  const outline = (list, depth) => [...list].sort(byPosition).flatMap(item => [
+    `${'  '.repeat(depth)}- ${describe(item)}`,
+    ...outline(item.children, depth + 1),
+  ]);
+
+  const keys = new Map(graph.nodes.map(node => [node.key, node]));
+  const connections = graph.edges.map(edge => {
+    const details = [edge.label ? quote(edge.label) : null, edge.style !== 'solid' ? edge.style : null].filter(Boolean);
+    return `- ${nodeRef(keys.get(edge.from))} ${CONNECTORS[edge.directed]} ${nodeRef(keys.get(edge.to))}`
+      + (details.length ? ` (${details.join(', ')})` : '');
+  });
+  const notes = graph.nodes.length > 0 ? graph.warnings.map(warning => `- ${warning}`) : [];
+
+  const sections = [
+    ['Layout:', outline(items.filter(item => !item.parent), 0)],
+    ['Connections:', connections],
+    ['Notes:', notes],
+  ].filter(([, lines]) => lines.length > 0);
+  if (sections.length === 0) return '(empty scene)';
+  return sections.map(([heading, lines]) => [heading, ...lines].join('\n')).join('\n\n');
+}
@@ -0,0 +1,79 @@
+/**
+ * Lays out text on the character grid: wrapping, truncation and alignment.
+ * Widths are counted in characters (code points).
+ */
+
+const ELLIPSIS = '…';
+
+export function textLength(str) {
+  return [...str].length;
+}
+
+function slice(str, start, end) {
+  return [...str].slice(start, end).join('');
+}
+
+/**
+ * Splits text into lines on newlines and, when a width is given, word-wraps
+ * each line to it. Words longer than the width are broken across lines.
+ */
+export function wrapText(text, width = Infinity) {
+  const lines = [];
+  String(text).replace(/\r\n?/g, '\n').split('\n').forEach(paragraph => {
+    if (width === Infinity || textLength(paragraph) <= width) {
+      lines.push(paragraph);
+      return;
+    }
+    let line = '';
+    paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+      while (textLength(word) > width) {
+        if (line) {
+          lines.push(line);
+          line = '';
+        }
+        lines.push(slice(word, 0, width));
+        word = slice(word, width);
+      }
+      if (!word) return;
+      if (!line) {
+        line = word;
+      } else if (textLength(line) + 1 + textLength(word) <= width) {
+        line += ' ' + word;
+      } else {
+        lines.push(line);
+        line = word;
+      }
+    });
+    lines.push(line);
+  });
+  return lines;
+}
+
+/**
+ * Cuts lines down to a width × height box. Anything that does not fit is
+ * replaced by an ellipsis at the end of the last visible line.
+ */
+export function fitLines(lines, width, height) {
+  if (width <= 0 || height <= 0) return [];
+  const fitted = lines.slice(0, height).map(line => (
+    textLength(line) > width ? slice(line, 0, width - 1) + ELLIPSIS : line
+  ));
+  if (lines.length > height) {
+    const last = fitted[height - 1];
+    fitted[height - 1] = textLength(last) < width
+      ? last + ELLIPSIS
+      : slice(last, 0, width - 1) + ELLIPSIS;
+  }
+  return fitted;
+}
+
+/**
+ * Offset of a run of `size` cells inside `available` cells for an Excalidraw
+ * `textAlign` (left/center/right) or `verticalAlign` (top/middle/bottom).
+ */
+export function alignOffset(size, available, align) {
+  const free = Math.max(0, available - size);
+  if (align === 'center' || align === 'middle') return Math.floor(free / 2);
+  if (align === 'right' || align === 'bottom') return free;
+  return 0;
+}
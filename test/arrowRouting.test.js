@@ -0,0 +1,48 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { routeOrthogonal, createRouter, headingOf } from '../src/utils/arrowRouting.js';
+
+const UP = 0;
+const RIGHT = 1;
+const DOWN = 2;
+
+test('arrives at the end only along the required heading', () => {
+  const path = routeOrthogonal({
+    start: { x: 0, y: 2 }, end: { x: 6, y: 2 }, startHeading: RIGHT, endHeading: DOWN, width: 10, height: 6,
+  });
+  assert.deepEqual(path[path.length - 1], { x: 6, y: 2 });
+  assert.equal(headingOf(path[path.length - 2], path[path.length - 1]), DOWN);
+  assert.equal(headingOf(path[0], path[1]), RIGHT);
+});
+
+test('gives up when the end cannot be reached along its heading', () => {
+  const path = routeOrthogonal({
+    start: { x: 0, y: 0 }, end: { x: 4, y: 0 }, endHeading: DOWN, width: 6, height: 3,
+  });
+  assert.equal(path, null);
+  assert.notEqual(routeOrthogonal({ start: { x: 0, y: 0 }, end: { x: 4, y: 0 }, endHeading: UP, width: 6, height: 3 }), null);
+});
+
+test('goes around blocked cells', () => {
+  const wall = (x, y) => x === 3 && y <= 3;
+  const path = routeOrthogonal({ start: { x: 0, y: 0 }, end: { x: 6, y: 0 }, isBlocked: wall, width: 8, height: 6 });
+  assert.deepEqual(path[path.length - 1], { x: 6, y: 0 });
+  assert.ok(path.every(cell => !wall(cell.x, cell.y)));
+  assert.ok(path.some(cell => cell.y > 3));
+});
+
+test('widens its search when the way round lies far from both ends', () => {
+  const wall = (x, y) => x === 10 && y < 60;
+  const path = routeOrthogonal({ start: { x: 5, y: 0 }, end: { x: 15, y: 0 }, isBlocked: wall, width: 20, height: 64 });
+  assert.ok(path.some(cell => cell.y >= 60));
+  assert.ok(path.every(cell => !wall(cell.x, cell.y)));
+});
+
+test('shares one router between routes on a grid', () => {
+  const route = createRouter(10, 6);
+  const first = route({ start: { x: 0, y: 0 }, end: { x: 9, y: 5 } });
+  const second = route({ start: { x: 9, y: 0 }, end: { x: 0, y: 5 } });
+  assert.deepEqual([first[0], first[first.length - 1]], [{ x: 0, y: 0 }, { x: 9, y: 5 }]);
+  assert.deepEqual([second[0], second[second.length - 1]], [{ x: 9, y: 0 }, { x: 0, y: 5 }]);
+  assert.equal(route({ start: { x: 0, y: 0 }, end: { x: 9, y: 5 } }).length, first.length);
+});
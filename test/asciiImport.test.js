@@ -0,0 +1,50 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { importASCII } from '../src/utils/asciiImport.js';
+import { renderASCII } from '../src/utils/asciiRenderer.js';
+
+const bindings = scene => scene.elements
+  .filter(el => el.type === 'arrow')
+  .map(el => [el.startBinding?.elementId, el.endBinding?.elementId]);
+
+test('binds a line that starts flush against a box border', () => {
+  const unicode = importASCII([
+    '┌─────┐       ┌────┐',
+    '│ API │──────>│ DB │',
+    '└─────┘       └────┘',
+  ].join('\n'));
+  assert.deepEqual(bindings(unicode), [['rectangle-1', 'rectangle-2']]);
+
+  const ascii = importASCII([
+    '+-----+       +----+',
+    '| Web |------>| DB |',
+    '+-----+       +----+',
+  ].join('\n'));
+  assert.deepEqual(bindings(ascii), [['rectangle-1', 'rectangle-2']]);
+});
+
+test('leaves a line without a shape behind it unbound at that end', () => {
+  const scene = importASCII([
+    '          ┌────┐',
+    '  ──────> │ DB │',
+    '          └────┘',
+  ].join('\n'));
+  assert.deepEqual(bindings(scene), [[undefined, 'rectangle-1']]);
+});
+
+test('round-trips an arrow whose dot or bar head starts at a port', () => {
+  const box = (id, x) => ({ id, type: 'rectangle', x, y: 0, width: 80, height: 48 });
+  ['dot', 'bar'].forEach(startArrowhead => {
+    const { ascii } = renderASCII({
+      elements: [box('from', 0), box('to', 240), {
+        id: 'edge', type: 'arrow', x: 80, y: 24, width: 160, height: 0, points: [[0, 0], [160, 0]],
+        startArrowhead, endArrowhead: 'arrow', startBinding: { elementId: 'from' }, endBinding: { elementId: 'to' },
+      }],
+    });
+    const arrows = importASCII(ascii).elements.filter(el => el.type === 'arrow');
+    assert.equal(arrows.length, 1, ascii);
+    assert.deepEqual(bindings({ elements: arrows }), [['rectangle-1', 'rectangle-2']]);
+    assert.equal(arrows[0].startArrowhead, startArrowhead === 'dot' ? 'dot' : null);
+    assert.equal(arrows[0].endArrowhead, 'arrow');
+  });
+});
@@ -0,0 +1,138 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { renderASCII } from '../src/utils/asciiRenderer.js';
+
+const rectangle = (id, x, y, width, height) => ({
+  id, type: 'rectangle', x, y, width, height, strokeStyle: 'solid', backgroundColor: 'transparent',
+});
+
+test('keeps a shape grown to its minimum size inside the grid', () => {
+  const { ascii } = renderASCII({ elements: [rectangle('tiny', 0, 0, 4, 4)] });
+  const rows = ascii.split('\n');
+  assert.match(rows[0], /┌/);
+  assert.match(rows[rows.length - 1], /┘/);
+});
+
+test('fits grown shapes into a column budget', () => {
+  const scene = { elements: [rectangle('wide', 0, 0, 800, 80), rectangle('small', 900, 0, 40, 40)] };
+  const { ascii } = renderASCII(scene, { width: 24 });
+  const rows = ascii.split('\n');
+  assert.ok(rows.every(row => row.length <= 24));
+  assert.equal(rows[0].trimEnd().at(-1), '┐');
+});
+
+test('leaves deleted elements out of the drawing and its boxes', () => {
+  const scene = { elements: [rectangle('kept', 0, 0, 80, 40), { ...rectangle('gone', 200, 0, 80, 40), isDeleted: true }] };
+  const { ascii, meta } = renderASCII(scene);
+  assert.equal((ascii.match(/┌/g) || []).length, 1);
+  assert.deepEqual(Object.keys(meta.boxes), ['kept']);
+});
+
+test('ends a cut-short label in 7-bit ASCII with the ascii charset', () => {
+  const scene = {
+    elements: [
+      { ...rectangle('box', 0, 0, 64, 48), boundElements: [{ id: 'label', type: 'text' }] },
+      { id: 'label', type: 'text', x: 4, y: 14, width: 56, height: 20, text: 'A label far too long to fit', containerId: 'box' },
+    ],
+  };
+  const { ascii } = renderASCII(scene, { charset: 'ascii' });
+  assert.match(ascii, /~/);
+  assert.doesNotMatch(ascii, /[^\x00-\x7f]/);
+});
+
+test('centers an arrow label on a straight stretch, not a bend', () => {
+  [false, true].forEach(elbowed => {
+    const scene = {
+      elements: [
+        {
+          id: 'elbow', type: 'arrow', x: 0, y: 0, width: 48, height: 64, points: [[0, 0], [48, 0], [48, 64]],
+          elbowed, strokeStyle: 'solid', boundElements: [{ id: 'label', type: 'text' }],
+        },
+        { id: 'label', type: 'text', x: 40, y: 0, width: 8, height: 20, text: 'x', containerId: 'elbow' },
+      ],
+    };
+    const rows = renderASCII(scene).ascii.split('\n');
+    const bare = renderASCII({ elements: [{ ...scene.elements[0], boundElements: [] }] }).ascii.split('\n');
+    // The top stretch runs from column 2 to the corner at 8, the longer leg
+    const corner = bare[0].indexOf('┐');
+    assert.equal(corner, 8);
+    assert.equal(rows[0].indexOf('┐'), corner);
+    assert.equal(rows[0].indexOf('x'), (bare[0].indexOf('─') + corner) / 2);
+    assert.ok(rows.slice(1).every(row => row.indexOf('x') === -1));
+    assert.deepEqual(rows.slice(1), bare.slice(1));
+  });
+});
+
+test('points a bound arrow\'s head into the shape it ends on', () => {
+  const bound = (id, x, y) => ({ ...rectangle(id, x, y, 96, 48), boundElements: [{ id: 'link', type: 'arrow' }] });
+  const scene = {
+    elements: [
+      bound('from', 0, 0),
+      bound('to', 120, 40),
+      {
+        id: 'link', type: 'arrow', x: 96, y: 24, width: 72, height: 16, points: [[0, 0], [72, 16]],
+        startBinding: { elementId: 'from' }, endBinding: { elementId: 'to' }, endArrowhead: 'arrow',
+      },
+    ],
+  };
+  const rows = renderASCII(scene).ascii.split('\n');
+  const row = rows.findIndex(line => line.includes('v'));
+  assert.notEqual(row, -1);
+  assert.equal(rows[row + 1][rows[row].indexOf('v')], '─');
+  assert.doesNotMatch(rows.join('\n'), />/);
+});
+
+test('keeps routed and curved high-res strokes dashed across their segments', () => {
+  const dotsIn = text => [...text].reduce((count, char) => {
+    const code = char.codePointAt(0) - 0x2800;
+    return code > 0 && code < 256 ? count + code.toString(2).replace(/0/g, '').length : count;
+  }, 0);
+  const scene = strokeStyle => ({
+    elements: [
+      { ...rectangle('from', 0, 0, 96, 48), boundElements: [{ id: 'link', type: 'arrow' }] },
+      { ...rectangle('to', 300, 100, 96, 48), boundElements: [{ id: 'link', type: 'arrow' }] },
+      {
+        id: 'link', type: 'arrow', x: 96, y: 24, width: 204, height: 100, points: [[0, 0], [204, 100]], strokeStyle,
+        startBinding: { elementId: 'from' }, endBinding: { elementId: 'to' }, endArrowhead: null,
+      },
+      { id: 'round', type: 'ellipse', x: 0, y: 200, width: 200, height: 100, strokeStyle },
+    ],
+  });
+  const solid = dotsIn(renderASCII(scene('solid'), { highRes: 'braille' }).ascii);
+  const dashed = dotsIn(renderASCII(scene('dashed'), { highRes: 'braille' }).ascii);
+  const dotted = dotsIn(renderASCII(scene('dotted'), { highRes: 'braille' }).ascii);
+  const boxes = dotsIn(renderASCII({ elements: scene('solid').elements.slice(0, 2) }, { highRes: 'braille' }).ascii);
+  assert.ok(dashed - boxes < (solid - boxes) * 0.8);
+  assert.ok(dotted - boxes < (solid - boxes) * 0.5);
+});
+
+test('keeps a border whole under an unbound arrow ending on it', () => {
+  const scene = {
+    elements: [
+      rectangle('wall', 80, 0, 80, 48),
+      { id: 'in', type: 'arrow', x: 0, y: 24, width: 80, height: 0, points: [[0, 0], [80, 0]], endArrowhead: 'arrow' },
+    ],
+  };
+  const rows = renderASCII(scene).ascii.split('\n');
+  const border = rows[0].indexOf('┌');
+  assert.equal(rows[1].indexOf('>'), border - 1);
+  assert.equal(rows[1][border], '┤');
+  assert.ok(rows.slice(1, -1).every(row => '│┤'.includes(row[border])));
+});
+
+test('attaches a bound arrow to a turned shape where its side is drawn', () => {
+  const scene = {
+    elements: [
+      { ...rectangle('turned', 0, 0, 96, 48), angle: Math.PI / 6 },
+      rectangle('level', 240, 0, 96, 48),
+      {
+        id: 'link', type: 'arrow', x: 90, y: 48, width: 150, height: -24, points: [[0, 0], [150, -24]],
+        startBinding: { elementId: 'turned' }, endBinding: { elementId: 'level' }, endArrowhead: 'arrow',
+      },
+    ],
+  };
+  const { turned, link } = renderASCII(scene).meta.boxes;
+  // The arrow leaves the turned side itself, not where the unturned one was
+  assert.ok(link.x <= turned.x + turned.width - 1);
+  assert.ok(link.y + link.height <= turned.y + turned.height);
+});
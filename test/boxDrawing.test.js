@@ -0,0 +1,38 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  UP, RIGHT, DOWN, LEFT, HEAVY, DOUBLE, strokeMask, mergeMasks, resolveJunction,
+} from '../src/utils/boxDrawing.js';
+
+const horizontal = strokeMask([LEFT, RIGHT]);
+const vertical = strokeMask([UP, DOWN]);
+
+test('merges crossing strokes into a cross', () => {
+  assert.equal(resolveJunction(mergeMasks(horizontal, vertical)), '┼');
+});
+
+test('merges a stroke ending on another into a tee', () => {
+  assert.equal(resolveJunction(mergeMasks(horizontal, strokeMask([DOWN]))), '┬');
+  assert.equal(resolveJunction(mergeMasks(vertical, strokeMask([LEFT]))), '┤');
+});
+
+test('turns corners', () => {
+  assert.equal(resolveJunction(strokeMask([RIGHT, DOWN])), '┌');
+  assert.equal(resolveJunction(strokeMask([UP, LEFT])), '┘');
+});
+
+test('draws a lone stub as a full straight glyph', () => {
+  assert.equal(resolveJunction(strokeMask([RIGHT])), '─');
+  assert.equal(resolveJunction(strokeMask([UP])), '│');
+  assert.equal(resolveJunction(0), ' ');
+});
+
+test('keeps the heavier weight where strokes overlap', () => {
+  assert.equal(resolveJunction(mergeMasks(horizontal, strokeMask([LEFT, RIGHT], HEAVY))), '━');
+  assert.equal(resolveJunction(mergeMasks(strokeMask([LEFT, RIGHT], HEAVY), vertical)), '┿');
+});
+
+test('falls back to lighter strokes for weight mixes Unicode lacks', () => {
+  const mixed = mergeMasks(strokeMask([LEFT, RIGHT], DOUBLE), strokeMask([UP, DOWN], HEAVY));
+  assert.equal(resolveJunction(mixed), '╪');
+});
@@ -0,0 +1,127 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+const CLI = fileURLToPath(new URL('../cli.cjs', import.meta.url));
+const drawing = JSON.stringify({ elements: [{ id: 'box', type: 'rectangle', x: 0, y: 0, width: 80, height: 48 }] });
+
+function run(args, cwd) {
+  const { status, stdout, stderr } = spawnSync(process.execPath, [CLI, ...args], {
+    cwd, encoding: 'utf-8', timeout: 30000, env: { ...process.env, NO_COLOR: '1' },
+  });
+  return { status, stdout, stderr };
+}
+
+function workspace(t, files) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'excalidraw-cli-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  Object.entries(files).forEach(([file, content]) => {
+    fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+    fs.writeFileSync(path.join(root, file), content);
+  });
+  return root;
+}
+
+test('prints a single drawing to stdout', t => {
+  const root = workspace(t, { 'flow.excalidraw': drawing });
+  const { status, stdout } = run(['flow.excalidraw', '--format', 'text'], root);
+  assert.equal(status, 0);
+  assert.match(stdout, /┌─+┐/);
+});
+
+test('writes one file per drawing a glob matches, and leaves the outputs alone on a re-run', t => {
+  const root = workspace(t, { 'a.excalidraw': drawing, 'docs/b.excalidraw': drawing });
+  const first = run(['**/*'], root);
+  assert.equal(first.status, 0, first.stderr);
+  assert.match(first.stdout, /2 converted, 0 failed/);
+  assert.ok(fs.existsSync(path.join(root, 'a.txt')));
+  assert.ok(fs.existsSync(path.join(root, 'docs', 'b.txt')));
+
+  const again = run(['**/*'], root);
+  assert.match(again.stdout, /2 converted, 0 failed/);
+});
+
+test('keeps relative paths under --out-dir', t => {
+  const root = workspace(t, { 'src/a.excalidraw': drawing, 'src/deep/b.excalidraw': drawing });
+  const { status } = run(['src', '--format', 'markdown', '--out-dir', 'out'], root);
+  assert.equal(status, 0);
+  assert.deepEqual(fs.readdirSync(path.join(root, 'out'), { recursive: true }).sort(), ['a.md', 'deep', path.join('deep', 'b.md')]);
+});
+
+test('exits with 1 when any drawing in a batch fails, converting the rest', t => {
+  const root = workspace(t, { 'good.excalidraw': drawing, 'bad.excalidraw': '{ not json' });
+  const { status, stdout, stderr } = run(['*.excalidraw'], root);
+  assert.equal(status, 1);
+  assert.match(stderr, /✗ bad\.excalidraw/);
+  assert.match(stdout, /1 converted, 1 failed/);
+  assert.ok(fs.existsSync(path.join(root, 'good.txt')));
+});
+
+test('exits with 1 on a missing file or a glob that matches nothing', t => {
+  const root = workspace(t, {});
+  const missing = run(['gone.excalidraw'], root);
+  assert.equal(missing.status, 1);
+  assert.match(missing.stderr, /File not found: gone\.excalidraw/);
+  const empty = run(['*.excalidraw'], root);
+  assert.equal(empty.status, 1);
+  assert.match(empty.stderr, /No drawings found/);
+});
+
+test('splits a library into one file per item with --split', t => {
+  const library = JSON.stringify({
+    type: 'excalidrawlib',
+    libraryItems: [
+      { id: 'one', name: 'Login Card', elements: JSON.parse(drawing).elements },
+      { id: 'two', name: 'Login card!', elements: JSON.parse(drawing).elements },
+    ],
+  });
+  const root = workspace(t, { 'parts.excalidrawlib': library });
+  const { status, stdout } = run(['parts.excalidrawlib', '--split', '--format', 'markdown'], root);
+  assert.equal(status, 0);
+  assert.match(stdout, /\(2 snippets\)/);
+  assert.deepEqual(fs.readdirSync(path.join(root, 'parts')).sort(), ['login-card-2.md', 'login-card.md']);
+  assert.match(fs.readFileSync(path.join(root, 'parts', 'login-card.md'), 'utf-8'), /\*\*Login Card\*\*/);
+});
+
+test('splits a drawing into one file per frame with --split', t => {
+  const elements = [
+    { id: 'f1', type: 'frame', name: 'Sign in', x: 0, y: 0, width: 200, height: 120 },
+    { id: 'a', type: 'rectangle', x: 20, y: 20, width: 80, height: 48, frameId: 'f1' },
+    { id: 'f2', type: 'frame', name: 'Home', x: 400, y: 0, width: 200, height: 120 },
+    { id: 'b', type: 'ellipse', x: 420, y: 20, width: 80, height: 48, frameId: 'f2' },
+  ];
+  const root = workspace(t, { 'board.excalidraw': JSON.stringify({ elements }) });
+  const { status, stdout } = run(['board.excalidraw', '--split', '--out-dir', 'screens'], root);
+  assert.equal(status, 0);
+  assert.match(stdout, /\(2 frames\)/);
+  assert.deepEqual(fs.readdirSync(path.join(root, 'screens', 'board')).sort(), ['home.txt', 'sign-in.txt']);
+  const signIn = fs.readFileSync(path.join(root, 'screens', 'board', 'sign-in.txt'), 'utf-8');
+  assert.match(signIn, /┌─ Sign in ─+┐/);
+  assert.doesNotMatch(signIn, /Home|╭/);
+});
+
+test('sync-docs updates stale diagrams, and with --check only reports them', t => {
+  const root = workspace(t, {
+    'docs/flow.excalidraw': drawing,
+    'docs/README.md': '# Flow\n<!-- excalidraw:flow.excalidraw charset=ascii -->\n',
+  });
+  const check = run(['sync-docs', '--check'], root);
+  assert.equal(check.status, 1);
+  assert.match(check.stderr, /1 of 1 diagram\(s\) out of date/);
+
+  const sync = run(['sync-docs', 'docs'], root);
+  assert.equal(sync.status, 0);
+  assert.match(fs.readFileSync(path.join(root, 'docs', 'README.md'), 'utf-8'), /```text\n  \+-+\+\n/);
+  assert.equal(run(['sync-docs', '--check'], root).status, 0);
+});
+
+test('sync-docs fails on a marker naming a missing drawing', t => {
+  const root = workspace(t, { 'README.md': '<!-- excalidraw:gone.excalidraw -->\n' });
+  const { status, stderr } = run(['sync-docs'], root);
+  assert.equal(status, 1);
+  assert.match(stderr, /README\.md: Drawing not found: gone\.excalidraw/);
+});
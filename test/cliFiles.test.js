@@ -0,0 +1,43 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const { expandInputs, outputPath } = require('../cli/files.cjs');
+
+const EXTENSIONS = ['.excalidraw.md', '.excalidraw'];
+
+function tree(files) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'excalidraw-files-'));
+  files.forEach(file => {
+    fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+    fs.writeFileSync(path.join(root, file), '{}');
+  });
+  return root;
+}
+
+const relative = (root, drawings) => drawings.map(({ file }) => path.relative(root, file).split(path.sep).join('/'));
+
+test('keeps only drawings among glob matches, not the outputs beside them', t => {
+  const root = tree(['flow.excalidraw', 'flow.txt', 'docs/notes.excalidraw.md', 'docs/notes.txt', 'docs/readme.md']);
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const drawings = expandInputs([`${root}/**/*`], EXTENSIONS);
+  assert.deepEqual(relative(root, drawings), ['docs/notes.excalidraw.md', 'flow.excalidraw']);
+});
+
+test('scans directories for drawings and keeps missing paths to report', t => {
+  const root = tree(['a.excalidraw', 'a.txt', 'node_modules/b.excalidraw', '.cache/c.excalidraw']);
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const missing = path.join(root, 'gone.excalidraw');
+  const drawings = expandInputs([root, missing, path.join(root, 'a.excalidraw')], EXTENSIONS);
+  assert.deepEqual(relative(root, drawings), ['a.excalidraw', 'gone.excalidraw']);
+});
+
+test('swaps the longest source extension for the output one', () => {
+  const drawing = { file: 'docs/notes.excalidraw.md', base: 'docs' };
+  assert.equal(outputPath(drawing, '.txt', null, EXTENSIONS), 'docs/notes.txt');
+  assert.equal(outputPath(drawing, '.txt', 'out', EXTENSIONS), path.join('out', 'notes.txt'));
+});
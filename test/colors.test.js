@@ -0,0 +1,77 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { renderASCII } from '../src/utils/asciiRenderer.js';
+import { colorName, parseColor, shadeInk } from '../src/utils/colors.js';
+
+const filled = (id, x, y, backgroundColor) => ({
+  id, type: 'rectangle', x, y, width: 80, height: 48, strokeColor: '#1e1e1e', backgroundColor, fillStyle: 'solid',
+});
+
+test('draws shading in a tone apart from its fill', () => {
+  const { colored } = renderASCII({ elements: [filled('pink', 0, 0, '#ffc9c9')] }, { color: 'html' });
+  const shaded = colored.match(/<span style="color:(#[0-9a-f]{6});background-color:(#[0-9a-f]{6})">░+<\/span>/);
+  assert.ok(shaded);
+  assert.notEqual(shaded[1], shaded[2]);
+  assert.equal(shaded[2], '#ffc9c9');
+});
+
+test('darkens light fills and lightens dark ones for their shading', () => {
+  assert.deepEqual(shadeInk([255, 201, 201]), [153, 121, 121]);
+  assert.deepEqual(shadeInk([0, 0, 100]), [102, 102, 162]);
+});
+
+test('keeps the first stroke\'s ink where an arrow leaves a border', () => {
+  const scene = {
+    elements: [
+      { id: 'box', type: 'rectangle', x: 0, y: 0, width: 80, height: 48, strokeColor: '#1971c2', backgroundColor: 'transparent' },
+      { id: 'out', type: 'arrow', x: 80, y: 24, width: 80, height: 0, points: [[0, 0], [80, 0]], strokeColor: '#e03131', endArrowhead: 'arrow' },
+    ],
+  };
+  const { ascii, colored } = renderASCII(scene, { color: 'html' });
+  assert.match(ascii, /├─/);
+  assert.match(colored, /<span style="color:#1971c2">│ +├<\/span><span style="color:#e03131">─+&gt;<\/span>/);
+});
+
+const services = {
+  elements: [
+    { id: 'api', type: 'rectangle', x: 0, y: 0, width: 80, height: 48, strokeColor: '#e03131', backgroundColor: 'transparent', boundElements: [{ id: 'api-label', type: 'text' }] },
+    { id: 'api-label', type: 'text', x: 10, y: 14, width: 30, height: 20, text: 'API', containerId: 'api', strokeColor: '#e03131' },
+    filled('db', 160, 0, '#a5d8ff'),
+    { id: 'note', type: 'text', x: 0, y: 80, width: 60, height: 20, text: 'note', strokeColor: '#1e1e1e' },
+  ],
+};
+
+test('parses hex and rgb colors, transparent as none', () => {
+  assert.deepEqual(parseColor('#e03131'), [224, 49, 49]);
+  assert.deepEqual(parseColor('#F0A'), [255, 0, 170]);
+  assert.deepEqual(parseColor('rgba(10, 20, 300, 0.5)'), [10, 20, 255]);
+  assert.equal(parseColor('#ffffff00'), null);
+  assert.equal(parseColor('transparent'), null);
+  assert.equal(colorName([224, 49, 49]), 'red');
+  assert.equal(colorName([165, 216, 255]), 'light blue');
+});
+
+test('marks up strokes in 256-color and 24-bit escapes, leaving default ink alone', () => {
+  const ansi = renderASCII(services, { color: 'ansi' });
+  assert.match(ansi.colored, /\x1b\[38;5;167m┌─+┐\x1b\[0m/);
+  const truecolor = renderASCII(services, { color: 'truecolor' });
+  assert.match(truecolor.colored, /\x1b\[38;2;224;49;49m│   API   │\x1b\[0m/);
+  assert.match(truecolor.colored, /48;2;165;216;255m/);
+  assert.equal(truecolor.colored.split('\n').at(-1), '  note');
+  assert.equal(truecolor.output, truecolor.colored);
+  assert.equal(ansi.legend, undefined);
+});
+
+test('puts colored spans into the html format', () => {
+  const { output, colored } = renderASCII(services, { color: 'html', format: 'html' });
+  assert.match(colored, /<span style="color:#e03131">┌─+┐<\/span>/);
+  assert.ok(output.includes(colored.split('\n')[0]));
+});
+
+test('names the colors in a legend instead of marking up the text', () => {
+  const { colored, legend, output, ascii } = renderASCII(services, { color: 'legend' });
+  assert.equal(colored, undefined);
+  assert.equal(legend, ['Colors:', '- red #e03131: "API"', '- light blue fill #a5d8ff: rectangle'].join('\n'));
+  assert.equal(output, `${ascii}\n\n${legend}`);
+  assert.throws(() => renderASCII(services, { color: 'sepia' }), /Unknown color mode "sepia"/);
+});
@@ -0,0 +1,53 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const { syncMarkdown, parseParams } = require('../cli/docs.cjs');
+
+const block = (source, options) => `\`\`\`text\n${source} ${JSON.stringify(options)}\n\`\`\`\n`;
+
+test('parses marker options into render options', () => {
+  assert.deepEqual(parseParams(' scale=1.5 charset=ascii text=false double-lines frame="Sign in"'), {
+    scale: 1.5, charset: 'ascii', showText: false, doubleLines: true, frame: 'Sign in',
+  });
+  assert.throws(() => parseParams('zoom=2'), /Unknown marker option "zoom"/);
+  assert.throws(() => parseParams('width=wide'), /needs a number, got "wide"/);
+});
+
+test('replaces the block under a marker and inserts one where missing', () => {
+  const markdown = [
+    '# Architecture',
+    '<!-- excalidraw:arch.excalidraw scale=2 -->',
+    '',
+    '```text',
+    'old drawing',
+    '```',
+    '<!-- excalidraw:flow.excalidraw -->',
+    'After.',
+  ].join('\n');
+  const { text, blocks, stale } = syncMarkdown(markdown, block);
+  assert.equal(blocks, 2);
+  assert.equal(stale, 2);
+  assert.equal(text, [
+    '# Architecture',
+    '<!-- excalidraw:arch.excalidraw scale=2 -->',
+    '',
+    '```text',
+    'arch.excalidraw {"scale":2}',
+    '```',
+    '<!-- excalidraw:flow.excalidraw -->',
+    '```text',
+    'flow.excalidraw {}',
+    '```',
+    'After.',
+  ].join('\n'));
+  assert.deepEqual(syncMarkdown(text, block), { text, blocks: 2, stale: 0 });
+});
+
+test('leaves markers inside code blocks and the line endings alone', () => {
+  const example = '````md\r\n<!-- excalidraw:example.excalidraw -->\r\n````\r\n';
+  assert.deepEqual(syncMarkdown(example, block), { text: example, blocks: 0, stale: 0 });
+  const { text } = syncMarkdown('<!-- excalidraw:a.excalidraw -->\r\nEnd\r\n', block);
+  assert.equal(text, '<!-- excalidraw:a.excalidraw -->\r\n```text\r\na.excalidraw {}\r\n```\r\nEnd\r\n');
+});
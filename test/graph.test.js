@@ -0,0 +1,78 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { extractGraph, toDOT, toMermaid } from '../src/utils/graph.js';
+import { renderASCII } from '../src/utils/asciiRenderer.js';
+
+const shape = (id, type, x, y, label, extra = {}) => [
+  { id, type, x, y, width: 120, height: 60, boundElements: [{ id: `${id}-label`, type: 'text' }], ...extra },
+  { id: `${id}-label`, type: 'text', x, y, width: 120, height: 20, text: label, containerId: id },
+];
+const arrow = (id, from, to, extra = {}) => ({
+  id, type: 'arrow', x: 0, y: 0, width: 1, height: 1, points: [[0, 0], [1, 1]],
+  startBinding: from && { elementId: from }, endBinding: to && { elementId: to }, endArrowhead: 'arrow', ...extra,
+});
+
+const elements = [
+  ...shape('api', 'rectangle', 0, 0, 'API "v2"', { roundness: { type: 3 } }),
+  ...shape('check', 'diamond', 300, 0, 'Valid?'),
+  ...shape('db', 'ellipse', 600, 0, 'Users\nDB'),
+  arrow('call', 'api', 'check'),
+  arrow('save', 'check', 'db', { strokeStyle: 'dashed', startArrowhead: 'arrow' }),
+  arrow('back', 'db', 'api', { startArrowhead: 'arrow', endArrowhead: null }),
+  arrow('loose', 'api', null),
+];
+
+test('takes shapes as nodes and arrows bound at both ends as edges', () => {
+  const graph = extractGraph(elements);
+  assert.deepEqual(graph.nodes.map(node => [node.key, node.shape, node.label, node.rounded]), [
+    ['n1', 'rectangle', 'API "v2"', true],
+    ['n2', 'diamond', 'Valid?', false],
+    ['n3', 'ellipse', 'Users\nDB', false],
+  ]);
+  assert.deepEqual(graph.edges.map(edge => [edge.from, edge.to, edge.directed, edge.style]), [
+    ['n1', 'n2', 'forward', 'solid'],
+    ['n2', 'n3', 'both', 'dashed'],
+    // A head only at the start points the edge the other way
+    ['n1', 'n3', 'forward', 'solid'],
+  ]);
+  assert.deepEqual(graph.warnings, ['Arrow loose is not bound to a shape at its end; left out']);
+  assert.equal(graph.direction, 'LR');
+});
+
+test('writes a Mermaid flowchart', () => {
+  assert.equal(toMermaid(extractGraph(elements), 'Signup'), [
+    '---',
+    'title: "Signup"',
+    '---',
+    'flowchart LR',
+    '  n1("API #quot;v2#quot;")',
+    '  n2{"Valid?"}',
+    '  n3(["Users<br>DB"])',
+    '  n1 --> n2',
+    '  n2 <-.-> n3',
+    '  n1 --> n3',
+    '',
+  ].join('\n'));
+});
+
+test('writes a Graphviz digraph', () => {
+  assert.equal(toDOT(extractGraph(elements)), [
+    'digraph {',
+    '  rankdir=LR;',
+    '  n1 [label="API \\"v2\\"", shape=box, style=rounded];',
+    '  n2 [label="Valid?", shape=diamond];',
+    '  n3 [label="Users\\nDB", shape=ellipse];',
+    '  n1 -> n2;',
+    '  n2 -> n3 [dir=both, style=dashed];',
+    '  n1 -> n3;',
+    '}',
+    '',
+  ].join('\n'));
+});
+
+test('renders the graph formats through renderASCII', () => {
+  const { output, meta } = renderASCII({ elements }, { format: 'mermaid' });
+  assert.match(output, /^flowchart LR\n/);
+  assert.equal(meta.graph.edges.length, 3);
+  assert.match(renderASCII({ elements }, { format: 'dot' }).output, /^digraph \{/);
+});
@@ -0,0 +1,44 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { isLibrary, libraryItems, renderLibrary } from '../src/utils/library.js';
+
+const box = id => ({ id, type: 'rectangle', x: 0, y: 0, width: 80, height: 48 });
+
+test('underlines item names as wide as they are, astral characters included', () => {
+  const library = { type: 'excalidrawlib', libraryItems: [{ id: 'ship', name: '🚀 Deploy', elements: [box('a')] }] };
+  const [catalog, item] = renderLibrary(library, { title: '📚 Parts' }).ascii.split('\n\n');
+  assert.deepEqual(catalog.split('\n'), ['📚 Parts', '─'.repeat(7)]);
+  assert.deepEqual(item.split('\n').slice(0, 2), ['🚀 Deploy', '─'.repeat(8)]);
+});
+
+test('reads items from version 2 and version 1 libraries', () => {
+  assert.ok(isLibrary({ type: 'excalidrawlib', libraryItems: [] }));
+  assert.ok(isLibrary({ library: [] }));
+  assert.ok(!isLibrary({ type: 'excalidraw', elements: [] }));
+  assert.deepEqual(libraryItems({ libraryItems: [{ id: 'card', name: ' Card ', elements: [box('a')] }] }), [
+    { id: 'card', name: 'Card', elements: [box('a')] },
+  ]);
+  assert.deepEqual(libraryItems({ library: [[box('a')], [box('b')]] }).map(({ id, name }) => [id, name]), [
+    ['item-1', 'Item 1'], ['item-2', 'Item 2'],
+  ]);
+});
+
+test('renders every item under its name, each at its own origin', () => {
+  const far = { ...box('far'), x: 4000, y: 4000 };
+  const library = { libraryItems: [{ name: 'Near', elements: [box('a')] }, { name: 'Far', elements: [far] }] };
+  const { ascii, items, stats } = renderLibrary(library);
+  const sections = ascii.split('\n\n');
+  assert.deepEqual(sections.map(section => section.split('\n')[0]), ['Near', 'Far']);
+  assert.equal(sections[0].split('\n').slice(2).join('\n'), sections[1].split('\n').slice(2).join('\n'));
+  assert.deepEqual(items.map(item => item.name), ['Near', 'Far']);
+  assert.match(stats, /^2 library items/);
+});
+
+test('titles items in markdown and keeps their ids in json', () => {
+  const library = { libraryItems: [{ id: 'card', name: 'Card', elements: [box('a')] }] };
+  const markdown = renderLibrary(library, { format: 'markdown', title: 'Parts' }).output;
+  assert.match(markdown, /^# Parts\n\n\*\*Card\*\*\n\n```text\n  ┌─+┐\n/);
+  const parsed = JSON.parse(renderLibrary(library, { format: 'json', title: 'Parts' }).output);
+  assert.equal(parsed.title, 'Parts');
+  assert.deepEqual(parsed.items.map(item => [item.id, item.title]), [['card', 'Card']]);
+});
@@ -0,0 +1,78 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { deflate } from 'pako';
+import LZString from 'lz-string';
+import { loadScene, validateFile } from '../src/utils/loaders.js';
+
+const MIME_TYPE = 'application/vnd.excalidraw+json';
+const scene = { type: 'excalidraw', elements: [{ id: 'note', type: 'text', x: 0, y: 0, text: 'Café ✓' }] };
+const json = JSON.stringify(scene);
+
+const byteString = bytes => String.fromCharCode(...bytes);
+// The `{ encoded, compressed }` wrapper Excalidraw embeds in its exports
+const payload = compressed => JSON.stringify({
+  version: '1',
+  encoding: 'bstring',
+  compressed,
+  encoded: byteString(compressed ? deflate(json) : new TextEncoder().encode(json)),
+});
+
+function svg(body, version) {
+  return [
+    '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 10 10">',
+    '  <!-- svg-source:excalidraw -->',
+    `  <!-- payload-type:${MIME_TYPE} -->`,
+    ...(version ? [`  <!-- payload-version:${version} -->`] : []),
+    `  <!-- payload-start -->${body}<!-- payload-end -->`,
+    '</svg>',
+  ].join('\n');
+}
+
+function png(chunks) {
+  const bytes = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+  chunks.forEach(([type, data]) => {
+    const length = data.length;
+    bytes.push(length >>> 24, (length >>> 16) & 255, (length >>> 8) & 255, length & 255);
+    bytes.push(...[...type].map(char => char.charCodeAt(0)), ...data, 0, 0, 0, 0);
+  });
+  return new Uint8Array(bytes);
+}
+const latin1 = text => [...text].map(char => char.charCodeAt(0));
+
+test('loads plain JSON from text or bytes', () => {
+  assert.deepEqual(loadScene(json), scene);
+  assert.deepEqual(loadScene(new TextEncoder().encode(json)), scene);
+  assert.throws(() => loadScene('{ "elements": '), /Invalid JSON in this file/);
+});
+
+test('loads the scene embedded in an SVG export, compressed or not', () => {
+  assert.deepEqual(loadScene(svg(btoa(payload(true)), 2)), scene);
+  assert.deepEqual(loadScene(svg(btoa(payload(false)), 2)), scene);
+  // Version 1 kept base64 UTF-8 of the scene itself
+  assert.deepEqual(loadScene(svg(btoa(byteString(new TextEncoder().encode(json))))), scene);
+  assert.throws(() => loadScene('<svg xmlns="http://www.w3.org/2000/svg"></svg>'), /No Excalidraw scene embedded in this SVG/);
+  assert.throws(() => loadScene(svg('not base64!', 2)), /not valid base64/);
+});
+
+test('loads the scene from the tEXt chunk of a PNG export', () => {
+  const text = [...latin1(MIME_TYPE), 0, ...latin1(payload(true))];
+  const exported = png([['IHDR', new Array(13).fill(0)], ['tEXt', text], ['IEND', []]]);
+  assert.deepEqual(loadScene(exported), scene);
+  assert.deepEqual(loadScene(exported.buffer), scene);
+  assert.throws(() => loadScene(png([['IEND', []]])), /No Excalidraw scene embedded in this PNG/);
+});
+
+test('loads Obsidian drawings in plain or compressed JSON', () => {
+  const note = block => `---\nexcalidraw-plugin: parsed\n---\n# Text Elements\nCafé ✓ ^note\n\n# Drawing\n${block}\n%%`;
+  assert.deepEqual(loadScene(note('```json\n' + json + '\n```')), scene);
+  const compressed = LZString.compressToBase64(json).replace(/(.{64})/g, '$1\n\n');
+  assert.deepEqual(loadScene(note('```compressed-json\n' + compressed + '\n```')), scene);
+  assert.throws(() => loadScene('---\ntags: []\n---\n# Notes'), /No Excalidraw drawing in this Markdown file/);
+});
+
+test('names what it expects for anything else', () => {
+  assert.throws(() => loadScene('hello'), /Unrecognised file/);
+  assert.equal(validateFile({ name: 'Drawing.excalidraw.md' }), null);
+  assert.match(validateFile({ name: 'notes.docx' }), /Please select/);
+  assert.equal(validateFile(null), 'No file selected');
+});
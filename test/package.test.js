@@ -0,0 +1,17 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const scene = { elements: [{ id: 'box', type: 'rectangle', x: 0, y: 0, width: 80, height: 48 }] };
+
+test('requires the package entry from CommonJS', () => {
+  const library = require('excalidraw-to-ascii');
+  assert.equal(typeof library.renderASCII, 'function');
+  assert.match(library.renderASCII(scene).ascii, /┌─+┐/);
+});
+
+test('imports the package entry as a module with the same exports', async () => {
+  const library = await import('excalidraw-to-ascii');
+  assert.deepEqual(Object.keys(library).sort(), Object.keys(require('excalidraw-to-ascii')).sort());
+});
@@ -0,0 +1,30 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { renderASCII } from '../src/utils/asciiRenderer.js';
+import { scenePreview } from '../src/utils/preview.js';
+
+const scene = {
+  elements: [
+    { id: 'note', type: 'text', x: 0, y: 0, width: 40, height: 20, text: 'hi', fontSize: 20 },
+    { id: 'box', type: 'rectangle', x: 0, y: 80, width: 80, height: 48, strokeStyle: 'solid', backgroundColor: 'transparent' },
+  ],
+};
+
+test('covers the same rows as the trimmed ASCII', () => {
+  const { ascii, meta } = renderASCII(scene);
+  assert.ok(meta.trimmed.top > 0 && meta.trimmed.bottom > 0);
+  const svg = scenePreview(scene.elements, meta, { grid: true });
+  const height = Number(svg.match(/<svg[^>]* height="([\d.]+)"/)[1]);
+  assert.equal(height / meta.cell.height, ascii.split('\n').length);
+  const rowLines = svg.match(/M[-\d.]+ [-\d.]+h/g);
+  assert.equal(rowLines.length, ascii.split('\n').length + 1);
+});
+
+test('starts its view at the first row the ASCII kept', () => {
+  const { meta } = renderASCII(scene);
+  const svg = scenePreview(scene.elements, meta);
+  const [, minY] = svg.match(/viewBox="([-\d.]+) ([-\d.]+)/).slice(1).map(Number);
+  const cellH = meta.cell.height / meta.scale.y;
+  assert.equal(minY, meta.bounds.minY + meta.trimmed.top * cellH);
+  assert.ok(minY <= 0);
+});
@@ -0,0 +1,48 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { listElements, sceneFrames, selectElements } from '../src/utils/selection.js';
+import { renderASCII } from '../src/utils/asciiRenderer.js';
+
+const box = (id, x, y, extra = {}) => ({ id, type: 'rectangle', x, y, width: 80, height: 48, ...extra });
+const elements = [
+  { id: 'f1', type: 'frame', name: 'Checkout', x: 0, y: 0, width: 200, height: 120 },
+  box('pay', 20, 20, { frameId: 'f1', groupIds: ['buttons'], boundElements: [{ id: 'pay-label', type: 'text' }] }),
+  { id: 'pay-label', type: 'text', x: 30, y: 30, width: 40, height: 20, text: 'Pay', containerId: 'pay' },
+  { id: 'f2', type: 'magicframe', name: '  ', x: 400, y: 0, width: 200, height: 120 },
+  box('back', 420, 20, { frameId: 'f2', groupIds: ['buttons'] }),
+  box('gone', 40, 40, { frameId: 'f1', isDeleted: true }),
+];
+const ids = picked => picked.elements.map(el => el.id);
+
+test('lists frames and elements, unnamed frames as "Frame"', () => {
+  assert.deepEqual(sceneFrames(elements), [{ id: 'f1', name: 'Checkout' }, { id: 'f2', name: 'Frame' }]);
+  assert.deepEqual(listElements(elements).map(({ id, label }) => [id, label]), [
+    ['f1', 'Checkout'], ['pay', 'Pay'], ['f2', 'Frame'], ['back', ''],
+  ]);
+});
+
+test('picks a frame by name or id with its contents, clipped to it', () => {
+  const byName = selectElements(elements, { frame: 'Checkout' });
+  assert.deepEqual(ids(byName), ['f1', 'pay', 'pay-label']);
+  assert.deepEqual(byName.clip, { x: 0, y: 0, width: 200, height: 120 });
+  assert.deepEqual(ids(selectElements(elements, { frame: 'f2' })), ['f2', 'back']);
+  assert.throws(() => selectElements(elements, { frame: 'Cart' }), /No frame named "Cart". Frames in this scene: "Checkout", "Frame"/);
+});
+
+test('narrows by group, ids and region together', () => {
+  assert.deepEqual(ids(selectElements(elements, { group: 'buttons' })), ['pay', 'pay-label', 'back']);
+  assert.deepEqual(ids(selectElements(elements, { group: 'buttons', frame: 'f2' })), ['back']);
+  assert.deepEqual(ids(selectElements(elements, { ids: ['pay'] })), ['pay', 'pay-label']);
+  const region = { x: 380, y: 0, width: 100, height: 100 };
+  assert.deepEqual(selectElements(elements, { region }), { elements: [elements[3], elements[4]], clip: region });
+  assert.throws(() => selectElements(elements, { group: 'nav' }), /No elements in group "nav"/);
+  assert.throws(() => selectElements(elements, { ids: ['pay', 'nope'] }), /Unknown element id\(s\): nope/);
+});
+
+test('renders a frame titled with its name and nothing outside it', () => {
+  const { ascii } = renderASCII({ elements }, { frame: 'Checkout' });
+  const rows = ascii.split('\n');
+  assert.match(rows[0], /^ *┌─ Checkout ─+┐$/);
+  assert.match(ascii, /Pay/);
+  assert.equal((ascii.match(/┌/g) || []).length, 2);
+});
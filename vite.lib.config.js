@@ -0,0 +1,18 @@
+import { defineConfig } from 'vite'
+
+// CommonJS build of the renderer for require() consumers. ES module
+// consumers import src/index.js directly.
+export default defineConfig({
+  build: {
+    outDir: 'lib',
+    copyPublicDir: false,
+    lib: {
+      entry: 'src/index.js',
+      formats: ['cjs'],
+      fileName: () => 'index.cjs',
+    },
+    rollupOptions: {
+      external: ['pako', 'lz-string'],
+    },
+  },
+})